@@ -0,0 +1,17 @@
+// Module hooks that let plain Node run the app's src/ modules: they are ES
+// modules in a package without "type": "module" and import each other
+// without file extensions, as the bundler allows.
+
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (context.parentURL?.startsWith(SRC) && /^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) return nextLoad(url, { ...context, format: "module" });
+  return nextLoad(url, context);
+}
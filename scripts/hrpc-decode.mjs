@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// Decodes HRPC packet captures without a browser and writes the samples as
+// CSV, JSON or JSON lines plus a summary report. Uses the app's own stream
+// registry, packet formats and calibration (src/lib), so the output matches
+// the panel's exports. Run `npm run decode -- --help` for usage.
+
+import "./register-hooks.mjs";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+
+const { parseCapture } = await import("../src/lib/replay.js");
+const { samplesToCsv } = await import("../src/lib/recorder.js");
+const { DEFAULT_PROFILE, DEFAULT_PROFILE_KEY, createConverter, normalizeProfile } = await import(
+  "../src/lib/calibration.js"
+);
+const { PACKET_FORMATS, packetFormatFor } = await import("../src/lib/protocol.js");
+const { STREAM_BY_KEY } = await import("../src/lib/streams.js");
+const { decodeCapture, samplesToNdjson, splitBinaryPackets, splitHexPackets, summaryToText } = await import(
+  "../src/lib/capture-decode.js"
+);
+
+const USAGE = `Usage: npm run decode -- [options] [<capture>...] [<STREAM>=<dump>...]
+
+Inputs
+  <capture>               recorder export (.jsonl) or "timestamp stream hex"
+                          text, as loaded by Load Capture in the app
+  <STREAM>=<dump>         one stream's packets, e.g. AFE=afe.hex: hex with one
+                          packet per line, or binary (.bin, .raw, .dat, --binary)
+
+Options
+  -o, --out <dir>         output directory (default: current directory)
+  -t, --to <csv|json|ndjson>
+                          csv: one file per stream, as the app's export
+                          json: one file with every stream and the summary
+                          ndjson: one JSON-lines file per stream, fixed columns
+                          (default: csv)
+  -n, --name <stem>       output file stem (default: first input's name)
+      --format <version>  packet format (default: from the capture's header or
+                          firmware revision, else ${Object.keys(PACKET_FORMATS)[0]})
+      --binary            per-stream dumps are binary whatever their extension
+      --packet-size <n>   binary packet size (default: the stream's full packet)
+      --length-prefixed   binary packets each follow a little-endian u16 length
+      --calibration <file>
+                          calibration profile, or an export from the app's
+                          calibration editor
+      --profile <key>     profile to use from an export (default: "${DEFAULT_PROFILE_KEY}")
+      --streams <list>    only decode these streams, e.g. AFE,IMU
+      --summary-only      write the summary report only
+  -q, --quiet             do not print the report
+  -h, --help              show this help
+
+Always writes <stem>_summary.json (duration, sample rates, gaps and loss,
+min / max / mean per channel) and prints the same report unless --quiet.`;
+
+// Bad command line: reported with a pointer to --help and exit code 2
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+const BINARY_EXTENSIONS = [".bin", ".raw", ".dat"];
+const TARGETS = ["csv", "json", "ndjson"];
+
+function options() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o", default: "." },
+      to: { type: "string", short: "t", default: "csv" },
+      name: { type: "string", short: "n" },
+      format: { type: "string" },
+      binary: { type: "boolean", default: false },
+      "packet-size": { type: "string" },
+      "length-prefixed": { type: "boolean", default: false },
+      calibration: { type: "string" },
+      profile: { type: "string", default: DEFAULT_PROFILE_KEY },
+      streams: { type: "string" },
+      "summary-only": { type: "boolean", default: false },
+      quiet: { type: "boolean", short: "q", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) return { help: true };
+  if (positionals.length === 0) throw usageError("No input files");
+  if (!TARGETS.includes(values.to)) throw usageError(`--to must be one of ${TARGETS.join(", ")}`);
+  if (values.format != null && !PACKET_FORMATS[values.format]) {
+    throw usageError(`Unknown packet format "${values.format}" (${Object.keys(PACKET_FORMATS).join(", ")})`);
+  }
+  const packetSize = values["packet-size"] == null ? undefined : Number(values["packet-size"]);
+  if (packetSize !== undefined && !(Number.isInteger(packetSize) && packetSize > 0)) {
+    throw usageError("--packet-size must be a positive whole number");
+  }
+  const streams = values.streams?.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+  for (const s of streams ?? []) if (!STREAM_BY_KEY[s]) throw usageError(`Unknown stream "${s}"`);
+
+  const inputs = positionals.map((arg) => {
+    const m = /^([A-Za-z]{3})=(.+)$/.exec(arg);
+    if (!m) return { path: arg, stream: null };
+    const stream = m[1].toUpperCase();
+    if (!STREAM_BY_KEY[stream]) throw usageError(`Unknown stream "${m[1]}" in ${arg}`);
+    return { path: m[2], stream };
+  });
+  return { ...values, packetSize, streams, inputs };
+}
+
+// Single profile, or one out of { type: "hrpc-calibration", profiles }
+async function loadConverter(path, key) {
+  if (!path) return createConverter(DEFAULT_PROFILE);
+  const data = JSON.parse(await readFile(path, "utf8"));
+  if (!data?.profiles) return createConverter(normalizeProfile(data));
+  const profile = data.profiles[key];
+  if (!profile) {
+    throw new Error(`${path}: no profile "${key}" (has ${Object.keys(data.profiles).join(", ") || "none"})`);
+  }
+  return createConverter(normalizeProfile(profile));
+}
+
+async function readInputs(opts) {
+  const packets = [];
+  let meta = {};
+  for (const input of opts.inputs) {
+    if (!input.stream) {
+      const capture = parseCapture(await readFile(input.path, "utf8"));
+      if (Object.keys(meta).length === 0) meta = capture.meta;
+      packets.push(...capture.packets);
+    } else if (opts.binary || BINARY_EXTENSIONS.includes(extname(input.path).toLowerCase())) {
+      const bytes = new Uint8Array(await readFile(input.path));
+      packets.push(
+        ...splitBinaryPackets(bytes, input.stream, {
+          packetSize: opts.packetSize,
+          lengthPrefixed: opts["length-prefixed"],
+          format: formatOf(opts, meta),
+        })
+      );
+    } else {
+      packets.push(...splitHexPackets(await readFile(input.path, "utf8"), input.stream));
+    }
+  }
+  return { meta, packets: opts.streams ? packets.filter((p) => opts.streams.includes(p.stream)) : packets };
+}
+
+// As the panel does for a loaded capture
+function formatOf(opts, meta) {
+  if (opts.format != null) return Number(opts.format);
+  return meta.packetFormat ?? packetFormatFor(meta.firmware);
+}
+
+async function main() {
+  const opts = options();
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  const converter = await loadConverter(opts.calibration, opts.profile);
+  const { meta, packets } = await readInputs(opts);
+  if (packets.length === 0) throw new Error("No packets to decode");
+  const format = formatOf(opts, meta);
+  const { samples, summary } = decodeCapture(packets, { format, converter });
+
+  const stem = opts.name ?? basename(opts.inputs[0].path, extname(opts.inputs[0].path));
+  const outputs = {};
+  const report = {
+    type: "hrpc-summary",
+    source: opts.inputs.map((i) => (i.stream ? `${i.stream}=${i.path}` : i.path)),
+    device: meta.device ?? null,
+    firmware: meta.firmware ?? null,
+    calibration: converter.profile,
+    ...summary,
+  };
+  outputs[`${stem}_summary.json`] = JSON.stringify(report, null, 2) + "\n";
+  if (!opts["summary-only"]) {
+    if (opts.to === "json") {
+      outputs[`${stem}.json`] = JSON.stringify({ ...report, type: "hrpc-samples", samples }) + "\n";
+    } else {
+      for (const [stream, rows] of Object.entries(samples)) {
+        outputs[`${stem}_${stream}.${opts.to}`] =
+          opts.to === "csv" ? samplesToCsv(stream, rows) : samplesToNdjson(stream, rows);
+      }
+    }
+  }
+
+  await mkdir(opts.out, { recursive: true });
+  for (const [file, text] of Object.entries(outputs)) await writeFile(join(opts.out, file), text);
+  if (!opts.quiet) {
+    process.stdout.write(summaryToText(summary));
+    process.stdout.write(`\nWrote ${Object.keys(outputs).map((f) => join(opts.out, f)).join(", ")}\n`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`hrpc-decode: ${err?.message || err}`);
+  if (err?.usage || err?.code?.startsWith?.("ERR_PARSE_ARGS")) {
+    console.error("Run with --help for usage.");
+    process.exitCode = 2;
+  } else {
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,6 @@
+// Preload (node --import) for running the app's src/ modules under plain
+// Node, as the tests and the decode CLI do; see esm-hooks.mjs.
+
+import { register } from "node:module";
+
+register("./esm-hooks.mjs", import.meta.url);
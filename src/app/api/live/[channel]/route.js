@@ -0,0 +1,74 @@
+import { liveHub, checkChannel } from "@/lib/live-hub";
+import { errorResponse } from "@/lib/http-error";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const KEEPALIVE_MS = 15000;
+
+// GET /api/live/:channel → text/event-stream, one JSON message per event
+export async function GET(request, { params }) {
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+  try {
+    checkChannel(params.channel);
+    const stream = new ReadableStream({
+      start(controller) {
+        const write = (text) => {
+          try {
+            controller.enqueue(encoder.encode(text));
+          } catch {
+            cleanup(); // viewer already gone
+          }
+        };
+        const unsubscribe = liveHub.subscribe(params.channel, (msg) => write(`data: ${JSON.stringify(msg)}\n\n`));
+        const keepalive = setInterval(() => write(": keepalive\n\n"), KEEPALIVE_MS);
+        cleanup = () => {
+          cleanup = () => {};
+          clearInterval(keepalive);
+          unsubscribe();
+        };
+        request.signal.addEventListener("abort", () => cleanup());
+      },
+      cancel() {
+        cleanup();
+      },
+    });
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      },
+    });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// POST /api/live/:channel { messages: [...] } → 204
+export async function POST(request, { params }) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return Response.json({ error: "Body must be JSON" }, { status: 400 });
+    }
+    liveHub.publish(params.channel, body?.messages);
+    return new Response(null, { status: 204 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// DELETE /api/live/:channel → 204; viewers receive { type: "end" }
+export async function DELETE(_request, { params }) {
+  try {
+    liveHub.end(params.channel);
+    return new Response(null, { status: 204 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
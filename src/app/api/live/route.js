@@ -0,0 +1,9 @@
+import { liveHub } from "@/lib/live-hub";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// GET /api/live → { channels: [{ id, name, device, streams, viewers, updatedAt }] }
+export async function GET() {
+  return Response.json({ channels: liveHub.list() });
+}
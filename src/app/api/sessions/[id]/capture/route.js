@@ -0,0 +1,20 @@
+import { readCapture } from "@/lib/session-store";
+import { errorResponse } from "@/lib/http-error";
+import { sessionFileStem } from "@/lib/recorder";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// GET /api/sessions/:id/capture[?download=1] → the packet capture (.jsonl)
+export async function GET(request, { params }) {
+  try {
+    const { meta, text } = await readCapture(params.id);
+    const headers = { "Content-Type": "application/x-ndjson; charset=utf-8" };
+    if (new URL(request.url).searchParams.has("download")) {
+      headers["Content-Disposition"] = `attachment; filename="${sessionFileStem(meta)}_packets.jsonl"`;
+    }
+    return new Response(text, { headers });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,41 @@
+import { getSession, updateSession, deleteSession } from "@/lib/session-store";
+import { errorResponse } from "@/lib/http-error";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// GET /api/sessions/:id → { session: meta + markers }
+export async function GET(_request, { params }) {
+  try {
+    return Response.json({ session: await getSession(params.id) });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// PATCH /api/sessions/:id { name?, tags?, notes? } → { session }
+export async function PATCH(request, { params }) {
+  try {
+    let patch;
+    try {
+      patch = await request.json();
+    } catch {
+      return Response.json({ error: "Body must be JSON" }, { status: 400 });
+    }
+    if (patch === null || typeof patch !== "object" || Array.isArray(patch)) {
+      return Response.json({ error: "Body must be a JSON object" }, { status: 400 });
+    }
+    return Response.json({ session: await updateSession(params.id, patch) });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+export async function DELETE(_request, { params }) {
+  try {
+    await deleteSession(params.id);
+    return new Response(null, { status: 204 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,31 @@
+import { listSessions, createSession } from "@/lib/session-store";
+import { errorResponse } from "@/lib/http-error";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// GET /api/sessions?q=&tag= → { sessions: [meta] }
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const sessions = await listSessions({ q: searchParams.get("q") ?? "", tag: searchParams.get("tag") ?? "" });
+    return Response.json({ sessions });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
+
+// POST /api/sessions { capture, name?, tags?, notes?, deviceInfo?, markers? }
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return Response.json({ error: "Body must be JSON" }, { status: 400 });
+    }
+    return Response.json({ session: await createSession(body) }, { status: 201 });
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
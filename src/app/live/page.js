@@ -0,0 +1,84 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button, Space, Table, Tag, Typography, notification } from "antd";
+import LiveViewer from "@/components/LiveViewer";
+import { listLiveChannels } from "@/lib/live-api";
+
+const LIST_REFRESH_MS = 2000;
+
+// /live?channel=<id> follows one published panel; without a channel, lists
+// the panels currently publishing to this server.
+export default function LivePage() {
+  // Only read on the client, as on the main page
+  const [channel] = useState(() =>
+    typeof window === "undefined" ? null : new URLSearchParams(window.location.search).get("channel")
+  );
+  const [channels, setChannels] = useState([]);
+
+  useEffect(() => {
+    document.body.classList.add("hydrated");
+    notification.config({ placement: "bottomRight", duration: 2, maxCount: 2 });
+    return () => document.body.classList.remove("hydrated");
+  }, []);
+
+  useEffect(() => {
+    if (channel) return;
+    const refresh = () =>
+      listLiveChannels().then(setChannels, (err) => console.warn("Live channels:", err));
+    refresh();
+    const id = setInterval(refresh, LIST_REFRESH_MS);
+    return () => clearInterval(id);
+  }, [channel]);
+
+  return (
+    <div className="container">
+      <div className="header">
+        <Typography.Title level={3} style={{ margin: 0 }}>
+          Live view
+        </Typography.Title>
+        <Space>
+          {channel && <Button href="/live">All channels</Button>}
+          <Button href="/">Back to viewer</Button>
+        </Space>
+      </div>
+
+      {channel ? (
+        <LiveViewer channel={channel} />
+      ) : (
+        <Table
+          rowKey="id"
+          size="small"
+          pagination={false}
+          dataSource={channels}
+          columns={[
+            { title: "Panel", dataIndex: "name", render: (n, c) => n ?? c.id },
+            { title: "Device", dataIndex: "device", render: (d) => d ?? "—" },
+            {
+              title: "Streams",
+              dataIndex: "streams",
+              render: (streams) => streams.map((k) => <Tag key={k}>{k}</Tag>),
+            },
+            { title: "Viewers", dataIndex: "viewers", width: 80 },
+            {
+              title: "Last data",
+              dataIndex: "updatedAt",
+              width: 120,
+              render: (t) => (t ? new Date(t).toLocaleTimeString() : "—"),
+            },
+            {
+              key: "watch",
+              width: 90,
+              render: (_, c) => (
+                <Button size="small" type="primary" href={`/live?channel=${encodeURIComponent(c.id)}`}>
+                  Watch
+                </Button>
+              ),
+            },
+          ]}
+          locale={{ emptyText: "Nobody is publishing — use Publish Live on a device panel" }}
+        />
+      )}
+    </div>
+  );
+}
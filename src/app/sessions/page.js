@@ -0,0 +1,197 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Button, Input, Popconfirm, Select, Space, Table, Tag, Typography, notification } from "antd";
+import { listSessions, updateSession, deleteSession, captureUrl } from "@/lib/session-api";
+
+function fmtDuration(ms) {
+  const sec = Math.round((ms ?? 0) / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+function fmtSize(bytes) {
+  if (bytes == null) return "—";
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Recording sessions stored through /api/sessions: search, tag, download,
+// delete, or open one in the viewer (replayed like a loaded capture).
+export default function SessionsPage() {
+  const [sessions, setSessions] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    document.body.classList.add("hydrated");
+    notification.config({ placement: "bottomRight", duration: 2, maxCount: 2 });
+    return () => document.body.classList.remove("hydrated");
+  }, []);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSessions(await listSessions({ q: query, tag }));
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    } finally {
+      setLoading(false);
+    }
+  }, [query, tag]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Tag choices come from the whole library, not just the filtered rows;
+  // reloaded only after edits that can change them
+  const refreshTags = useCallback(async () => {
+    try {
+      const all = await listSessions();
+      setAllTags([...new Set(all.flatMap((s) => s.tags))].sort());
+    } catch (err) {
+      console.warn("Session tags:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTags();
+  }, [refreshTags]);
+
+  async function patch(id, change) {
+    try {
+      const updated = await updateSession(id, change);
+      setSessions((ss) => ss.map((s) => (s.id === id ? updated : s)));
+      if (change.tags) refreshTags();
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await deleteSession(id);
+      setSessions((ss) => ss.filter((s) => s.id !== id));
+      if (sessions.find((s) => s.id === id)?.tags.length) refreshTags();
+      notification.success({ message: "Session deleted" });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      render: (name, s) => (
+        <Typography.Text editable={{ onChange: (v) => v !== name && patch(s.id, { name: v }) }}>{name}</Typography.Text>
+      ),
+    },
+    { title: "Device", dataIndex: "device", width: 150, render: (d, s) => d ?? s.deviceInfo?.model ?? "—" },
+    {
+      title: "Started",
+      dataIndex: "startedAt",
+      width: 170,
+      render: (t) => (t ? new Date(t).toLocaleString() : "—"),
+    },
+    { title: "Length", dataIndex: "durationMs", width: 80, render: fmtDuration },
+    {
+      title: "Streams",
+      dataIndex: "streams",
+      width: 200,
+      render: (streams) => streams.map((k) => <Tag key={k}>{k}</Tag>),
+    },
+    { title: "Markers", dataIndex: "markerCount", width: 80 },
+    { title: "Size", dataIndex: "sizeBytes", width: 80, render: fmtSize },
+    {
+      title: "Tags",
+      dataIndex: "tags",
+      width: 240,
+      render: (tags, s) => (
+        <Select
+          size="small"
+          mode="tags"
+          style={{ width: "100%" }}
+          placeholder="Add tags"
+          value={tags}
+          options={allTags.map((t) => ({ value: t, label: t }))}
+          onChange={(next) => patch(s.id, { tags: next })}
+        />
+      ),
+    },
+    {
+      key: "actions",
+      width: 220,
+      render: (_, s) => (
+        <Space size={4}>
+          <Button size="small" type="primary" href={`/?session=${encodeURIComponent(s.id)}`}>Open</Button>
+          <Button size="small" href={captureUrl(s.id, { download: true })}>Download</Button>
+          <Popconfirm title="Delete this session?" okText="Delete" okButtonProps={{ danger: true }} onConfirm={() => remove(s.id)}>
+            <Button size="small" danger>Delete</Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="container">
+      <div className="header">
+        <Typography.Title level={3} style={{ margin: 0 }}>
+          Session library
+        </Typography.Title>
+        <Button href="/">Back to viewer</Button>
+      </div>
+
+      <Space wrap style={{ marginBottom: 16 }}>
+        <Input.Search
+          allowClear
+          style={{ width: 320 }}
+          placeholder="Search name, device, notes, tags"
+          onSearch={setQuery}
+        />
+        <Select
+          allowClear
+          style={{ minWidth: 180 }}
+          placeholder="Filter by tag"
+          value={tag || undefined}
+          options={allTags.map((t) => ({ value: t, label: t }))}
+          onChange={(v) => setTag(v ?? "")}
+        />
+        <Button onClick={refresh}>Refresh</Button>
+      </Space>
+
+      <Table
+        rowKey="id"
+        size="small"
+        loading={loading}
+        columns={columns}
+        dataSource={sessions}
+        expandable={{
+          rowExpandable: () => true,
+          expandedRowRender: (s) => (
+            <Space direction="vertical" size={4} style={{ display: "flex" }}>
+              {s.deviceInfo && (
+                <span className="small">
+                  {Object.entries(s.deviceInfo).map(([k, v]) => `${k}: ${v}`).join(" · ")}
+                </span>
+              )}
+              <Input.TextArea
+                autoSize={{ minRows: 1, maxRows: 6 }}
+                placeholder="Notes"
+                defaultValue={s.notes}
+                onBlur={(e) => e.target.value !== s.notes && patch(s.id, { notes: e.target.value })}
+              />
+            </Space>
+          ),
+        }}
+        locale={{ emptyText: "No sessions yet — record in the viewer, then Export → Save to library" }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+"use client";
+
+import { useState } from "react";
+import { Modal, Select, InputNumber, Button, Space, Switch, Typography, Divider } from "antd";
+import {
+  ALARM_CHANNELS,
+  ALARM_CONDITIONS,
+  ALARM_SEVERITIES,
+  DEFAULT_ALARM_SETTINGS,
+  createRule,
+} from "@/lib/alarms";
+
+// Edits the alarm rules shared by every panel. Mount it only while open so
+// the draft starts from the saved settings; onSave({ rules, sound }).
+export default function AlarmEditor({ settings, onSave, onCancel }) {
+  const [rules, setRules] = useState(settings.rules);
+  const [sound, setSound] = useState(settings.sound);
+
+  function update(id, patch) {
+    setRules((rs) => rs.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  const number = (rule, field, props = {}) => (
+    <InputNumber
+      size="small"
+      style={{ width: 90 }}
+      value={rule[field]}
+      onChange={(v) => v != null && update(rule.id, { [field]: v })}
+      {...props}
+    />
+  );
+
+  return (
+    <Modal
+      open
+      width={820}
+      title="Alarms"
+      onCancel={onCancel}
+      footer={[
+        <Button key="defaults" onClick={() => setRules(DEFAULT_ALARM_SETTINGS.rules)}>Restore defaults</Button>,
+        <Button key="cancel" onClick={onCancel}>Cancel</Button>,
+        <Button key="save" type="primary" onClick={() => onSave({ rules, sound })}>Save</Button>,
+      ]}
+    >
+      <Space direction="vertical" size={6} style={{ display: "flex" }}>
+        {rules.length === 0 && <span className="small">No rules — add one below.</span>}
+        {rules.map((rule) => (
+          <Space key={rule.id} size={6} wrap>
+            <Switch size="small" checked={rule.enabled} onChange={(on) => update(rule.id, { enabled: on })} />
+            <Select
+              size="small"
+              style={{ width: 210 }}
+              value={rule.channel}
+              options={ALARM_CHANNELS.map(({ value, label }) => ({ value, label }))}
+              onChange={(channel) => update(rule.id, { channel })}
+            />
+            <Select
+              size="small"
+              style={{ width: 110 }}
+              value={rule.condition}
+              options={ALARM_CONDITIONS}
+              onChange={(condition) => update(rule.id, { condition })}
+            />
+            {(rule.condition === "above" || rule.condition === "below") && number(rule, "limit")}
+            {rule.condition === "outside" && (
+              <>
+                {number(rule, "low")}
+                <span className="small">–</span>
+                {number(rule, "high")}
+              </>
+            )}
+            {rule.condition === "stale" && number(rule, "seconds", { min: 1, addonAfter: "s", style: { width: 100 } })}
+            <Select
+              size="small"
+              style={{ width: 100 }}
+              value={rule.severity}
+              options={ALARM_SEVERITIES.map((v) => ({ value: v, label: v }))}
+              onChange={(severity) => update(rule.id, { severity })}
+            />
+            <Button size="small" type="text" onClick={() => setRules((rs) => rs.filter((r) => r.id !== rule.id))}>
+              ✕
+            </Button>
+          </Space>
+        ))}
+        <Button size="small" style={{ alignSelf: "flex-start" }} onClick={() => setRules((rs) => [...rs, createRule()])}>
+          Add rule
+        </Button>
+      </Space>
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Space size={8}>
+        <Switch size="small" checked={sound} onChange={setSound} />
+        <Typography.Text>Sound while an alarm is active and not acknowledged</Typography.Text>
+      </Space>
+    </Modal>
+  );
+}
@@ -0,0 +1,143 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Card, Flex, InputNumber, Space, Statistic, Table, Tag } from "antd";
+import { Line } from "react-chartjs-2";
+import { commonOptions, lineDataset } from "@/lib/chart-config";
+import { markerLinesPlugin, ringDataPlugin } from "@/lib/chart-plugins";
+import { RATE_WINDOW_SEC } from "@/lib/battery";
+
+const REFRESH_MS = 5000;
+
+function fmtHours(h) {
+  if (h == null) return "—";
+  if (h >= 48) return `${(h / 24).toFixed(1)} d`;
+  const m = Math.round(h * 60);
+  return `${Math.floor(m / 60)} h ${String(m % 60).padStart(2, "0")} m`;
+}
+
+const fmtRate = (v, digits = 1) => (v == null ? "—" : v.toFixed(digits));
+
+// Long-horizon battery view: voltage and percent over the whole session,
+// discharge rate, time to empty and per-stream power cost.
+// log: createBatteryLog() from the panel; getMarkers as for the other charts.
+// handle and menu are the workspace panel controls, height the plot height.
+export default function BatteryHealth({ log, getMarkers, handle = null, menu = null, height = 260 }) {
+  const chartRef = useRef(null);
+  const [summary, setSummary] = useState(null);
+  const [capacity, setCapacity] = useState(null); // mAh, to turn %/h into mA
+
+  useEffect(() => {
+    const refresh = () => {
+      setSummary(log.summary());
+      chartRef.current?.update("none");
+    };
+    refresh();
+    const id = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(id);
+  }, [log]);
+
+  // %/h → mA for a battery of `capacity` mAh
+  const mA = (pph) => (capacity && pph != null ? (pph / 100) * capacity : null);
+  const draw = (pph) => (capacity ? `${fmtRate(mA(pph))} mA` : `${fmtRate(pph)} %/h`);
+
+  const data = {
+    datasets: [
+      { ...lineDataset("Voltage (V)", log.volts, "#2563eb", { width: 1.8 }), yAxisID: "v" },
+      { ...lineDataset("Charge (%)", log.percent, "#10b981", { width: 1.8 }), yAxisID: "pct" },
+    ],
+  };
+  const options = {
+    ...commonOptions,
+    plugins: { ...commonOptions.plugins, markerLines: { getMarkers } },
+    scales: {
+      x: commonOptions.scales.x,
+      v: { position: "left", suggestedMin: 3.3, suggestedMax: 4.2, grid: { color: "rgba(0,0,0,0.06)" } },
+      pct: { position: "right", min: 0, max: 100, grid: { display: false } },
+    },
+  };
+
+  const rate = summary?.rate;
+  const costs = summary?.costs;
+  const segments = (summary?.segments ?? []).map((s, i) => ({ ...s, key: i }));
+
+  return (
+    <Card
+      className="card"
+      title={<Space size={6}>{handle}Battery health</Space>}
+      extra={
+        <Space size={6}>
+          <span className="small">Capacity</span>
+          <InputNumber
+            size="small"
+            min={1}
+            style={{ width: 110 }}
+            addonAfter="mAh"
+            placeholder="—"
+            value={capacity}
+            onChange={setCapacity}
+          />
+          {menu}
+        </Space>
+      }
+    >
+      {!summary ? (
+        <span className="small">Waiting for battery data…</span>
+      ) : (
+        <>
+          <Flex justify="space-around" wrap style={{ marginBottom: 8 }}>
+            <Statistic title="Voltage" value={summary.mV != null ? summary.mV / 1000 : "—"} precision={3} suffix="V" />
+            <Statistic title="Charge" value={summary.percent ?? "—"} suffix="%" />
+            <Statistic
+              title={`Discharge (last ${RATE_WINDOW_SEC / 60} min)`}
+              value={rate?.percentPerHour != null ? draw(rate.percentPerHour) : "—"}
+            />
+            <Statistic title="Voltage drop" value={rate?.mVPerHour != null ? `${fmtRate(rate.mVPerHour, 0)} mV/h` : "—"} />
+            <Statistic title="Time to empty" value={fmtHours(summary.hoursLeft)} />
+          </Flex>
+          <div style={{ height }}>
+            <Line ref={chartRef} data={data} options={options} plugins={[ringDataPlugin, markerLinesPlugin]} />
+          </div>
+          <Flex gap={16} wrap style={{ marginTop: 12 }}>
+            <Table
+              style={{ flex: "2 1 420px" }}
+              size="small"
+              pagination={false}
+              scroll={{ y: 160 }}
+              dataSource={segments}
+              columns={[
+                {
+                  title: "Streams enabled",
+                  dataIndex: "streams",
+                  render: (streams) => (streams.length > 0 ? streams.map((k) => <Tag key={k}>{k}</Tag>) : "none"),
+                },
+                { title: "Duration", dataIndex: "duration", width: 100, render: (d) => fmtHours(d / 3600) },
+                { title: "Draw", key: "draw", width: 110, render: (_, s) => (s.rate ? draw(s.rate.percentPerHour) : "—") },
+                { title: "mV/h", key: "mv", width: 80, render: (_, s) => fmtRate(s.rate?.mVPerHour, 0) },
+              ]}
+            />
+            <Table
+              style={{ flex: "1 1 240px" }}
+              size="small"
+              pagination={false}
+              rowKey="stream"
+              locale={{ emptyText: "Switch streams on and off for a minute each to separate their cost" }}
+              dataSource={
+                costs
+                  ? [
+                    { stream: "Base", rate: costs.base },
+                    ...Object.entries(costs.costs).map(([stream, r]) => ({ stream, rate: r })),
+                  ]
+                  : []
+              }
+              columns={[
+                { title: "Power cost", dataIndex: "stream" },
+                { title: "Draw", dataIndex: "rate", render: (r) => draw(r) },
+              ]}
+            />
+          </Flex>
+        </>
+      )}
+    </Card>
+  );
+}
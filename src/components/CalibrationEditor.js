@@ -0,0 +1,156 @@
+"use client";
+
+import { useState } from "react";
+import { Modal, Select, InputNumber, Input, Button, Space, Upload, Typography, Divider, notification } from "antd";
+import {
+  ACCEL_RANGES_G,
+  GYRO_RANGES_DPS,
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  exportProfiles,
+  importProfiles,
+  profileFor,
+} from "@/lib/calibration";
+import { downloadText } from "@/lib/recorder";
+
+const AXES = ["x", "y", "z"];
+
+// Edits one device's calibration profile. Mount it only while open so the
+// draft starts from the current profile each time.
+export default function CalibrationEditor({ deviceKey, profile, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => normalizeProfile(profile));
+
+  function setAxis(sensor, field, k, v) {
+    if (v == null) return;
+    setDraft((d) => {
+      const arr = [...d[sensor][field]];
+      arr[k] = v;
+      return { ...d, [sensor]: { ...d[sensor], [field]: arr } };
+    });
+  }
+
+  function setField(sensor, field, v) {
+    if (v == null) return;
+    setDraft((d) => ({ ...d, [sensor]: { ...d[sensor], [field]: v } }));
+  }
+
+  function exportAll() {
+    downloadText("hrpc_calibration.json", exportProfiles(), "application/json");
+  }
+
+  async function importFile(file) {
+    try {
+      const keys = importProfiles(await file.text());
+      setDraft(profileFor(deviceKey));
+      notification.success({ message: `Imported ${keys.length} calibration profile(s)` });
+    } catch (err) {
+      notification.error({ message: `Import failed: ${err?.message || err}` });
+    }
+  }
+
+  const axisTable = (sensor, unit) => (
+    <Space direction="vertical" size={4}>
+      {AXES.map((axis, k) => (
+        <Space key={axis} size={8}>
+          <span className="small" style={{ width: 16, display: "inline-block" }}>{axis}</span>
+          <InputNumber
+            size="small"
+            addonBefore="offset"
+            addonAfter={unit}
+            step={0.001}
+            value={draft[sensor].offset[k]}
+            onChange={(v) => setAxis(sensor, "offset", k, v)}
+          />
+          <InputNumber
+            size="small"
+            addonBefore="scale"
+            step={0.001}
+            value={draft[sensor].scale[k]}
+            onChange={(v) => setAxis(sensor, "scale", k, v)}
+          />
+        </Space>
+      ))}
+    </Space>
+  );
+
+  return (
+    <Modal
+      open
+      width={640}
+      title={`Calibration — ${deviceKey}`}
+      onCancel={onCancel}
+      footer={[
+        <Upload
+          key="import"
+          accept=".json"
+          showUploadList={false}
+          beforeUpload={(file) => {
+            importFile(file);
+            return false;
+          }}
+        >
+          <Button>Import…</Button>
+        </Upload>,
+        <Button key="export" onClick={exportAll}>Export all</Button>,
+        <Button key="reset" onClick={() => setDraft(normalizeProfile(DEFAULT_PROFILE))}>Defaults</Button>,
+        <Button key="save" type="primary" onClick={() => onSave(draft)}>Save</Button>,
+      ]}
+    >
+      <Typography.Text strong>Accelerometer</Typography.Text>
+      <div style={{ margin: "8px 0" }}>
+        <Space size={8}>
+          <span className="small">Full-scale range ±</span>
+          <Select
+            size="small"
+            style={{ width: 90 }}
+            value={draft.accel.range}
+            options={ACCEL_RANGES_G.map((r) => ({ value: r, label: `${r} g` }))}
+            onChange={(v) => setField("accel", "range", v)}
+          />
+        </Space>
+      </div>
+      {axisTable("accel", "g")}
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Typography.Text strong>Gyroscope</Typography.Text>
+      <div style={{ margin: "8px 0" }}>
+        <Space size={8}>
+          <span className="small">Full-scale range ±</span>
+          <Select
+            size="small"
+            style={{ width: 110 }}
+            value={draft.gyro.range}
+            options={GYRO_RANGES_DPS.map((r) => ({ value: r, label: `${r} °/s` }))}
+            onChange={(v) => setField("gyro", "range", v)}
+          />
+        </Space>
+      </div>
+      {axisTable("gyro", "°/s")}
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Typography.Text strong>HFS</Typography.Text>
+      <div className="small" style={{ margin: "4px 0 8px" }}>
+        value = c0 + c1·raw + c2·raw²
+      </div>
+      <Space wrap size={8}>
+        <Input
+          size="small"
+          addonBefore="unit"
+          style={{ width: 160 }}
+          value={draft.hfs.unit}
+          onChange={(e) => setField("hfs", "unit", e.target.value)}
+        />
+        {[0, 1, 2].map((k) => (
+          <InputNumber
+            key={k}
+            size="small"
+            addonBefore={`c${k}`}
+            style={{ width: 170 }}
+            value={draft.hfs.coeffs[k]}
+            onChange={(v) => setAxis("hfs", "coeffs", k, v)}
+          />
+        ))}
+      </Space>
+    </Modal>
+  );
+}
@@ -0,0 +1,49 @@
+"use client";
+
+import { Space, Tag, Tooltip } from "antd";
+
+export const CONNECTION_COLORS = {
+  connected: "#16a34a",
+  reconnecting: "#f59e0b",
+  disconnected: "#dc2626",
+  failed: "#7f1d1d",
+};
+
+const fmtTime = (t) => new Date(t).toLocaleTimeString();
+
+// events: [{ t, state, detail }] in order; now closes the last segment
+export default function ConnectionTimeline({ events, now, reconnects }) {
+  if (events.length === 0) return null;
+  const start = events[0].t;
+  const span = Math.max(1, now - start);
+
+  return (
+    <Space direction="vertical" size={6} style={{ width: "100%" }}>
+      <Space size={4} wrap>
+        <Tag>Reconnects: {reconnects}</Tag>
+        {events.slice(-4).map((e, i) => (
+          <span key={i} className="small">
+            {fmtTime(e.t)} {e.state}{e.detail ? ` (${e.detail})` : ""}
+            {i < Math.min(events.length, 4) - 1 ? " →" : ""}
+          </span>
+        ))}
+      </Space>
+      <div style={{ display: "flex", height: 10, borderRadius: 4, overflow: "hidden", background: "#e5e7eb" }}>
+        {events.map((e, i) => {
+          const end = events[i + 1]?.t ?? now;
+          return (
+            <Tooltip key={i} title={`${fmtTime(e.t)} · ${e.state}${e.detail ? ` · ${e.detail}` : ""}`}>
+              <div
+                style={{
+                  width: `${(100 * Math.max(0, end - e.t)) / span}%`,
+                  minWidth: 2,
+                  background: CONNECTION_COLORS[e.state] ?? "#94a3b8",
+                }}
+              />
+            </Tooltip>
+          );
+        })}
+      </div>
+    </Space>
+  );
+}
@@ -0,0 +1,126 @@
+"use client";
+
+import { useState } from "react";
+import { Modal, Input, Button, Space, Switch, Typography, Divider, Tag } from "antd";
+import {
+  DERIVED_COLORS,
+  DERIVED_FUNCTIONS,
+  DERIVED_INPUTS,
+  createDerivedChannel,
+  validateExpression,
+} from "@/lib/derived";
+
+// Edits the derived channels shared by every panel. Mount it only while open
+// so the draft starts from the saved list; onSave(channels).
+export default function DerivedEditor({ channels: saved, onSave, onCancel }) {
+  const [channels, setChannels] = useState(saved);
+
+  function update(id, patch) {
+    setChannels((cs) => cs.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function add() {
+    setChannels((cs) => [
+      ...cs,
+      createDerivedChannel({
+        name: `Derived ${cs.length + 1}`,
+        expression: "",
+        color: DERIVED_COLORS[cs.length % DERIVED_COLORS.length],
+      }),
+    ]);
+  }
+
+  const checks = Object.fromEntries(channels.map((c) => [c.id, validateExpression(c.expression)]));
+  const invalid = channels.some((c) => !checks[c.id].ok || !c.name.trim());
+
+  return (
+    <Modal
+      open
+      width={880}
+      title="Derived channels"
+      onCancel={onCancel}
+      footer={[
+        <Button key="cancel" onClick={onCancel}>Cancel</Button>,
+        <Button key="save" type="primary" disabled={invalid} onClick={() => onSave(channels)}>Save</Button>,
+      ]}
+    >
+      <Space direction="vertical" size={10} style={{ display: "flex" }}>
+        {channels.length === 0 && <span className="small">No derived channels — add one below.</span>}
+        {channels.map((c) => {
+          const check = checks[c.id];
+          return (
+            <Space key={c.id} direction="vertical" size={2} style={{ display: "flex" }}>
+              <Space size={6} wrap>
+                <input
+                  type="color"
+                  value={c.color}
+                  title="Trace colour"
+                  onChange={(e) => update(c.id, { color: e.target.value })}
+                />
+                <Input
+                  size="small"
+                  style={{ width: 150 }}
+                  placeholder="Name"
+                  status={c.name.trim() ? "" : "error"}
+                  value={c.name}
+                  onChange={(e) => update(c.id, { name: e.target.value })}
+                />
+                <Input
+                  size="small"
+                  style={{ width: 380, fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace" }}
+                  placeholder="e.g. AFE.Red / AFE.IR"
+                  status={check.ok ? "" : "error"}
+                  value={c.expression}
+                  onChange={(e) => update(c.id, { expression: e.target.value })}
+                />
+                <Input
+                  size="small"
+                  style={{ width: 70 }}
+                  placeholder="Unit"
+                  value={c.unit}
+                  onChange={(e) => update(c.id, { unit: e.target.value })}
+                />
+                <Switch
+                  size="small"
+                  checked={c.record}
+                  onChange={(record) => update(c.id, { record })}
+                />
+                <span className="small">Record</span>
+                <Button size="small" type="text" onClick={() => setChannels((cs) => cs.filter((o) => o.id !== c.id))}>
+                  ✕
+                </Button>
+              </Space>
+              {check.ok ? (
+                <span className="small">
+                  Evaluated on each {check.inputs[0]} sample
+                  {check.inputs.length > 1 && `, holding the latest ${check.inputs.slice(1).join(", ")}`}
+                </span>
+              ) : (
+                <Typography.Text type="danger" className="small">{check.error}</Typography.Text>
+              )}
+            </Space>
+          );
+        })}
+        <Button size="small" style={{ alignSelf: "flex-start" }} onClick={add}>
+          Add channel
+        </Button>
+      </Space>
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Typography.Paragraph className="small" style={{ marginBottom: 6 }}>
+        Operators <code>+ - * / % ^</code> and parentheses. Stateful functions take number literals for their
+        settings; Record adds the channel to recordings as DERIVED samples.
+      </Typography.Paragraph>
+      <Space size={[4, 4]} wrap style={{ marginBottom: 6 }}>
+        {DERIVED_FUNCTIONS.map((f) => (
+          <Tag key={f}>{f}</Tag>
+        ))}
+      </Space>
+      <Space size={[4, 4]} wrap>
+        {DERIVED_INPUTS.map((name) => (
+          <Tag key={name} color="blue">{name}</Tag>
+        ))}
+      </Space>
+    </Modal>
+  );
+}
@@ -0,0 +1,2050 @@
+"use client";
+
+import { useRef, useState, useEffect, useSyncExternalStore } from "react";
+import {
+  Button,
+  Card,
+  Flex,
+  Space,
+  Tag,
+  notification,
+  Input,
+  Divider,
+  Select,
+  Dropdown,
+  Upload,
+  Slider,
+  Segmented,
+  InputNumber,
+  Table,
+  Statistic,
+  Switch,
+  Descriptions,
+  Typography,
+  Alert,
+} from "antd";
+import { Line } from "react-chartjs-2";
+import { commonOptions, lineDataset, formatDeviceTime } from "@/lib/chart-config";
+import {
+  createRecorder,
+  sessionToJsonl,
+  samplesToCsv,
+  sessionFileStem,
+  downloadText,
+} from "@/lib/recorder";
+import { parseCapture, createReplayDevice, createReplayPlayer, REPLAY_SPEEDS } from "@/lib/replay";
+import { createSimulatorDevice, createSimulator, DEFAULT_SIM_CONFIG } from "@/lib/simulator";
+import {
+  TIMESTAMP_TICKS_PER_SECOND,
+  STREAMS,
+  PACKET_FORMATS,
+  DEFAULT_PACKET_FORMAT,
+  packetFormatFor,
+} from "@/lib/protocol";
+import {
+  STREAM_DEFS,
+  STREAM_BY_KEY,
+  STREAM_SERVICES,
+  STREAM_UUIDS,
+  availableStreams,
+  createStreamBuffers,
+  chartTitle,
+  seriesOf,
+  TREND_WINDOW_SEC,
+} from "@/lib/streams";
+import { createLinkMonitor, sampleTimes } from "@/lib/link-quality";
+import { createVitalsEstimator } from "@/lib/vitals";
+import { createMotionDetector } from "@/lib/motion";
+import { shadeRegionsPlugin, markerLinesPlugin, zoomPanPlugin, ringDataPlugin } from "@/lib/chart-plugins";
+import { createSeriesBuffer } from "@/lib/ring-buffer";
+import { createRenderLoop } from "@/lib/render-loop";
+import { createWorkerDecoder } from "@/lib/worker-decoder";
+import { createBatteryLog } from "@/lib/battery";
+import { uploadSession, getSession as getLibrarySession, fetchCapture } from "@/lib/session-api";
+import { createLivePublisher, newChannelId } from "@/lib/live-api";
+import {
+  DEFAULT_ALARM_SETTINGS,
+  createAlarmMonitor,
+  channelStream,
+  describeRule,
+  alarmLogToCsv,
+  playAlarmTone,
+  alarmStore,
+} from "@/lib/alarms";
+import {
+  MARKER_HOTKEY,
+  createMarker,
+  markerLines,
+  markersToJson,
+  markersToCsv,
+  parseMarkers,
+} from "@/lib/markers";
+import { createConverter, profileFor, saveProfile, DEFAULT_PROFILE, DEFAULT_PROFILE_KEY } from "@/lib/calibration";
+import { createReconnector } from "@/lib/reconnect";
+import { CONTROL_SERVICE_UUID, CONTROL_CHAR_UUID, createControlClient } from "@/lib/control";
+import {
+  STANDARD_SERVICES,
+  HEART_RATE_SERVICE_UUID,
+  DEVICE_INFO_FIELDS,
+  readDeviceInfo,
+} from "@/lib/gatt-standard";
+import { DEFAULT_DERIVED_CHANNELS, createDerivedEngine, derivedStore, derivedWindow } from "@/lib/derived";
+import { PANEL_KIND, createPanel, defaultPanels, duplicatePanel, movePanel, removePanel, updatePanel } from "@/lib/workspaces";
+import CalibrationEditor from "@/components/CalibrationEditor";
+import ConnectionTimeline from "@/components/ConnectionTimeline";
+import DeviceSettings from "@/components/DeviceSettings";
+import AlarmEditor from "@/components/AlarmEditor";
+import DerivedEditor from "@/components/DerivedEditor";
+import BatteryHealth from "@/components/BatteryHealth";
+import SpectrumPanel from "@/components/SpectrumPanel";
+import LayoutPanel from "@/components/LayoutPanel";
+
+// ── BLE ─────────────────────────────────────────────────────────────────────
+// Stream services and characteristics live in @/lib/streams
+const DEVICE_NAME_SUBSTR = "HRPC";
+const OPTIONAL_SERVICES = [...new Set([...STREAM_SERVICES, CONTROL_SERVICE_UUID, ...STANDARD_SERVICES])];
+
+// Before a device says otherwise, offer the custom HRPC streams
+const DEFAULT_STREAMS = availableStreams(null);
+
+// Charts follow the newest sample until paused; range is a zoomed / panned
+// x range shared by every chart of the panel
+const LIVE_VIEW = { paused: false, at: null, range: null };
+
+const ALARM_CHECK_MS = 1000;
+const ALARM_BEEP_MS = 2000;
+
+// Charts to redraw after a stream's packet
+const CHART_IDS = Object.fromEntries(STREAM_DEFS.map((d) => [d.key, d.charts.map((c) => c.id)]));
+
+const DEFAULT_LAYOUT = defaultPanels();
+
+function connectionEvent(state, detail) {
+  return { t: Date.now(), state, detail };
+}
+
+// One HRPC board: connection, stream toggles, buffers, status and charts.
+// The page renders one panel per device; buffers are shared with it through
+// onRegister so it can overlay devices on common charts.
+export default function DevicePanel({
+  id,
+  name,
+  color,
+  showCharts = true,
+  compact = false,
+  onRename,
+  onDeviceName,
+  onRemove,
+  onRegister,
+  active = false,
+  onActivate,
+  claimDevice,
+  releaseDevice,
+  librarySession = null,
+  layout = DEFAULT_LAYOUT,
+  onLayoutChange,
+}) {
+  // Device / GATT server
+  const [connected, setConnected] = useState(false);
+  const deviceRef = useRef(null);
+  const serverRef = useRef(null);
+  // The one gattserverdisconnected handler: Web Bluetooth hands back the
+  // same device object when a board is picked again
+  const disconnectRef = useRef({ device: null, handler: null });
+
+  // Auto-reconnect: streams to restore, connection-state log for the session
+  const activeStreamsRef = useRef(new Set());
+  const manualDisconnectRef = useRef(false);
+  const reconnectorRef = useRef(null);
+  const autoReconnectRef = useRef(true);
+  const [autoReconnect, setAutoReconnect] = useState(true);
+  const [reconnecting, setReconnecting] = useState(0); // current attempt, 0 = idle
+  const [reconnects, setReconnects] = useState(0);
+  const [connEvents, setConnEvents] = useState([]);
+  const [clock, setClock] = useState(0);
+
+  // Subscriptions: { [stream]: { char, handler } } and the streams turned on
+  const subsRef = useRef({});
+  const [streamKeys, setStreamKeys] = useState(DEFAULT_STREAMS); // offered by the device
+  const [activeStreams, setActiveStreams] = useState([]);
+  const afeOn = activeStreams.includes("AFE");
+  const imuOn = activeStreams.includes("IMU");
+
+  // Data buffers: { [stream]: { [series]: ring buffer } }
+  const buffersRef = useRef(null);
+  if (buffersRef.current === null) buffersRef.current = createStreamBuffers();
+  const [latest, setLatest] = useState({}); // last row of streams with a readout
+
+  // Timing: x-axis origins and per-stream link statistics. Device-clock
+  // streams count device ticks from timeOriginRef; host-clock streams (see
+  // hostClock) count host ms from hostOriginRef, anchored to the same x = 0
+  // through clockPairRef, the latest device packet's { device, host } times.
+  const timeOriginRef = useRef(null);
+  const hostOriginRef = useRef(null);
+  const clockPairRef = useRef(null);
+  const linkRef = useRef(null);
+  if (linkRef.current === null) linkRef.current = createLinkMonitor();
+  const [linkStats, setLinkStats] = useState([]);
+
+  // Calibration: raw counts → g, deg/s, V and the profile's HFS unit
+  const [deviceKey, setDeviceKey] = useState(DEFAULT_PROFILE_KEY);
+  const deviceKeyRef = useRef(DEFAULT_PROFILE_KEY); // for saves right after a connect
+  const [calProfile, setCalProfile] = useState(DEFAULT_PROFILE);
+  const [calOpen, setCalOpen] = useState(false);
+  const converterRef = useRef(null);
+  if (converterRef.current === null) converterRef.current = createConverter(DEFAULT_PROFILE);
+
+  // PPG vitals (HR / IBI / SpO2), estimated once per second
+  const vitalsRef = useRef(null);
+  if (vitalsRef.current === null) vitalsRef.current = createVitalsEstimator();
+  const [vitals, setVitals] = useState(null);
+  const hrTrend = useRef(null);
+  const spo2Trend = useRef(null);
+  if (hrTrend.current === null) {
+    hrTrend.current = createSeriesBuffer(TREND_WINDOW_SEC);
+    spo2Trend.current = createSeriesBuffer(TREND_WINDOW_SEC);
+  }
+
+  // IMU motion index; its segments gate the vitals and shade the PPG chart
+  const motionRef = useRef(null);
+  if (motionRef.current === null) motionRef.current = createMotionDetector();
+  const [motion, setMotion] = useState(null);
+
+  // Session recording (raw packets + decoded samples, unbounded)
+  const recorderRef = useRef(null);
+  if (recorderRef.current === null) recorderRef.current = createRecorder();
+  const [recording, setRecording] = useState(false);
+  const [recordStats, setRecordStats] = useState({ elapsed: 0, packets: 0 });
+  const [hasRecording, setHasRecording] = useState(false);
+  const [recordedStreams, setRecordedStreams] = useState([]);
+
+  // Capture replay (virtual device standing in for BLE)
+  const replayRef = useRef(null);
+  const [replayInfo, setReplayInfo] = useState(null);
+  const [replayPos, setReplayPos] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+
+  // Simulated device
+  const simRef = useRef(null);
+  const [simConfig, setSimConfig] = useState(null);
+
+  // Control channel; deviceConfig is the last configuration the device
+  // acknowledged (null when the device has no control characteristic)
+  const controlRef = useRef(null);
+  const [deviceConfig, setDeviceConfig] = useState(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  // Event markers, pinned to the device clock
+  const [markers, setMarkers] = useState([]);
+  const [markerText, setMarkerText] = useState("");
+  const markersRef = useRef([]);
+  const lastDeviceTsRef = useRef(null);
+  const addMarkerRef = useRef(null);
+
+  // Standard Device Information (null when the device has none)
+  const [deviceInfo, setDeviceInfo] = useState(null);
+
+  // Packet format version: follows the firmware revision (or a loaded
+  // capture's header) unless one is picked by hand
+  const [formatOverride, setFormatOverride] = useState(null);
+  const [captureFormat, setCaptureFormat] = useState(null);
+  const autoFormat = captureFormat ?? packetFormatFor(deviceInfo?.firmware);
+  const packetFormat = formatOverride ?? autoFormat;
+  const packetFormatRef = useRef(DEFAULT_PACKET_FORMAT);
+
+  // Alarms: rules shared through storage, raised alarms, and the session's
+  // log. lastSeenRef holds the host time of each stream's latest packet.
+  const alarmSettings = useSyncExternalStore(alarmStore.subscribe, alarmStore.get, () => DEFAULT_ALARM_SETTINGS);
+  const [alarmsOpen, setAlarmsOpen] = useState(false);
+  const [activeAlarms, setActiveAlarms] = useState([]);
+  const [alarmLog, setAlarmLog] = useState([]);
+  const [acknowledged, setAcknowledged] = useState([]); // rule ids silenced
+  const alarmMonitorRef = useRef(null);
+  if (alarmMonitorRef.current === null) alarmMonitorRef.current = createAlarmMonitor();
+  const lastSeenRef = useRef({});
+  const lastBeepRef = useRef(0);
+  const checkAlarmsRef = useRef(null);
+
+  // Derived channels: definitions shared through storage, evaluated into the
+  // engine's own buffers as their inputs arrive
+  const derivedChannels = useSyncExternalStore(
+    derivedStore.subscribe,
+    derivedStore.get,
+    () => DEFAULT_DERIVED_CHANNELS
+  );
+  const [derivedOpen, setDerivedOpen] = useState(false);
+  const derivedRef = useRef(null);
+  if (derivedRef.current === null) derivedRef.current = createDerivedEngine();
+
+  // Live publishing to read-only viewers (/live?channel=<id>)
+  const publisherRef = useRef(null);
+  const [liveChannel, setLiveChannel] = useState(null);
+
+  // Battery over the whole session, tagged with the streams the board is
+  // running (device-side enables when the control channel is available)
+  const batteryRef = useRef(null);
+  if (batteryRef.current === null) batteryRef.current = createBatteryLog();
+  const powerStreamsRef = useRef([]);
+  useEffect(() => {
+    powerStreamsRef.current = deviceConfig
+      ? STREAMS.filter((k) => deviceConfig.streams[k])
+      : STREAM_DEFS.filter((d) => activeStreams.includes(d.key)).map((d) => d.key);
+  }, [deviceConfig, activeStreams]);
+
+  useEffect(() => {
+    if (connEvents.length === 0) return;
+    const id = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [connEvents.length]);
+
+  useEffect(() => {
+    if (!connected) return;
+    const id = setInterval(() => setLinkStats(linkRef.current.snapshot()), 1000);
+    return () => clearInterval(id);
+  }, [connected]);
+
+  useEffect(() => {
+    if (!afeOn) return;
+    const id = setInterval(() => {
+      const v = vitalsRef.current.estimate({ motionCoverage: motionRef.current.coverage });
+      setVitals(v);
+      if (v.t == null) return;
+      hrTrend.current.push(v.t, v.hr);
+      spo2Trend.current.push(v.t, v.spo2);
+      publisherRef.current?.send({ type: "vitals", t: v.t, hr: v.hr, spo2: v.spo2 });
+      if (!viewRef.current.paused) renderLoopRef.current.invalidate("vitals");
+    }, 1000);
+    return () => clearInterval(id);
+  }, [afeOn]);
+
+  useEffect(() => {
+    derivedRef.current.setChannels(derivedChannels);
+  }, [derivedChannels]);
+
+  useEffect(() => {
+    checkAlarmsRef.current = checkAlarms;
+  });
+
+  useEffect(() => {
+    if (!connected) return;
+    const monitor = alarmMonitorRef.current;
+    const id = setInterval(() => checkAlarmsRef.current?.(), ALARM_CHECK_MS);
+    return () => {
+      clearInterval(id);
+      monitor.reset();
+      setActiveAlarms([]);
+      setAcknowledged([]);
+    };
+  }, [connected]);
+
+  useEffect(() => {
+    if (!imuOn) return;
+    const id = setInterval(() => {
+      const m = motionRef.current;
+      setMotion({ index: m.index, moving: m.moving });
+    }, 500);
+    return () => {
+      clearInterval(id);
+      setMotion(null);
+    };
+  }, [imuOn]);
+
+  useEffect(() => {
+    if (!recording) return;
+    const id = setInterval(() => {
+      const rec = recorderRef.current;
+      setRecordStats({ elapsed: Date.now() - rec.startedAt, packets: rec.packetCount });
+    }, 500);
+    return () => clearInterval(id);
+  }, [recording]);
+
+  // Chart refs by workspace panel id (imperative updates, no React "tick");
+  // the render loop redraws by chart id, so it looks panels up in panelsRef
+  const chartsRef = useRef({});
+  const panelsRef = useRef(layout);
+
+  useEffect(() => {
+    panelsRef.current = layout;
+  }, [layout]);
+
+  // Pause / zoom / pan; acquisition carries on underneath
+  const [view, setView] = useState(LIVE_VIEW);
+  const viewRef = useRef(LIVE_VIEW);
+  const lastXRef = useRef(null); // newest sample, device seconds
+
+  // Redraws batched to animation frames, optional off-thread decoding and
+  // the frame-time / throughput overlay
+  const renderLoopRef = useRef(null);
+  if (renderLoopRef.current === null) renderLoopRef.current = createRenderLoop(drawChart);
+  const decoderRef = useRef(null);
+  const consumeRef = useRef(null);
+  const [workerDecode, setWorkerDecode] = useState(false);
+  const [perfOn, setPerfOn] = useState(false);
+  const [perf, setPerf] = useState(null);
+
+  useEffect(() => {
+    const loop = renderLoopRef.current;
+    return () => loop.stop();
+  }, []);
+
+  useEffect(() => {
+    const listener = disconnectRef.current;
+    return () => listener.device?.removeEventListener("gattserverdisconnected", listener.handler);
+  }, []);
+
+  useEffect(() => {
+    if (!perfOn) return;
+    const loop = renderLoopRef.current;
+    loop.snapshot();
+    loop.measure(true);
+    const id = setInterval(() => setPerf(loop.snapshot()), 500);
+    return () => {
+      clearInterval(id);
+      loop.measure(false);
+      setPerf(null);
+    };
+  }, [perfOn]);
+
+  useEffect(() => {
+    consumeRef.current = consume;
+  });
+
+  useEffect(() => {
+    if (!workerDecode) return;
+    const decoder = createWorkerDecoder((key, timestamp, samples, host) =>
+      consumeRef.current?.(STREAM_BY_KEY[key], timestamp, samples, host)
+    );
+    decoder.setProfile(converterRef.current.profile);
+    decoder.setFormat(packetFormatRef.current);
+    decoderRef.current = decoder;
+    return () => {
+      decoder.terminate();
+      decoderRef.current = null;
+    };
+  }, [workerDecode]);
+
+  useEffect(() => {
+    decoderRef.current?.setProfile(calProfile);
+  }, [calProfile]);
+
+  useEffect(() => {
+    packetFormatRef.current = packetFormat;
+    decoderRef.current?.setFormat(packetFormat);
+  }, [packetFormat]);
+
+  // ── Timeline ───────────────────────────────────────────────────────────────
+  function clearBuffers() {
+    for (const series of Object.values(buffersRef.current)) {
+      for (const buf of Object.values(series)) buf.clear();
+    }
+    hrTrend.current.clear();
+    spo2Trend.current.clear();
+    batteryRef.current.clear();
+    vitalsRef.current.reset();
+    motionRef.current.reset();
+    derivedRef.current.clear();
+    publisherRef.current?.send({ type: "clear" });
+  }
+
+  function resetTimeline() {
+    clearBuffers();
+    timeOriginRef.current = null;
+    hostOriginRef.current = null;
+    clockPairRef.current = null;
+    lastDeviceTsRef.current = null;
+    lastXRef.current = null;
+    linkRef.current.reset();
+    setLinkStats([]);
+    setView(LIVE_VIEW);
+  }
+
+  // Feeds the link monitor and returns the device time (seconds since the
+  // first packet of the connection) for each of the packet's n samples.
+  // timestamp is in the stream's own clock; host is the arrival time (ms).
+  // A clock reset restarts the timeline.
+  function timePacket(def, timestamp, n, host) {
+    const q = linkRef.current.onPacket(def.key, timestamp, n, host);
+    if (q.reset) {
+      clearBuffers();
+      timeOriginRef.current = null;
+      hostOriginRef.current = null;
+      clockPairRef.current = null;
+    }
+    const pair = clockPairRef.current;
+    let origin, ticksPerSecond;
+    if (def.hostClock) {
+      // Whichever clock starts first sets x = 0; the other is mapped onto it
+      hostOriginRef.current ??=
+        pair && timeOriginRef.current != null
+          ? pair.host - ((pair.device - timeOriginRef.current) * 1000) / TIMESTAMP_TICKS_PER_SECOND
+          : timestamp;
+      origin = hostOriginRef.current;
+      ticksPerSecond = 1000;
+    } else {
+      timeOriginRef.current ??=
+        hostOriginRef.current != null
+          ? timestamp - ((host - hostOriginRef.current) * TIMESTAMP_TICKS_PER_SECOND) / 1000
+          : timestamp;
+      clockPairRef.current = { device: timestamp, host };
+      lastDeviceTsRef.current = timestamp;
+      origin = timeOriginRef.current;
+      ticksPerSecond = TIMESTAMP_TICKS_PER_SECOND;
+    }
+    const times = sampleTimes(timestamp, n, q.period).map((t) => (t - origin) / ticksPerSecond);
+    const end = times[times.length - 1];
+    if (q.reset || lastXRef.current == null || end > lastXRef.current) lastXRef.current = end;
+    return { times, gap: q.gap };
+  }
+
+  // ── Decoding ───────────────────────────────────────────────────────────────
+  // The registry parses and converts; this fans samples out to the recorder,
+  // the analysers and the chart buffers.
+  const analysers = {
+    AFE: (t, row) => {
+      if (row.channel == null) return;
+      vitalsRef.current.push(row.tag, t, row.value, motionRef.current.isMoving(t));
+    },
+    IMU: (t, row, values) => motionRef.current.push(t, values),
+    BAT: (t, row) => batteryRef.current.add(t, row, powerStreamsRef.current),
+    BAS: (t, row) => batteryRef.current.add(t, row, powerStreamsRef.current),
+  };
+
+  // host: arrival time (ms); replayed packets carry their captured time
+  function ingest(def, dataView, host) {
+    host ??= Date.now();
+    if (decoderRef.current) {
+      decoderRef.current.decode(def.key, dataView, host);
+      return;
+    }
+    const pkt = def.parse(dataView, packetFormatRef.current);
+    if (!pkt) return;
+    consume(def, def.hostClock ? host : pkt.timestamp, def.decode(pkt, converterRef.current), host);
+  }
+
+  function consume(def, timestamp, samples, host) {
+    lastSeenRef.current[def.key] = Date.now();
+    // Dropped samples still count towards the link statistics
+    const { times, gap } = timePacket(def, timestamp, Math.max(1, samples.length), host);
+    if (samples.length === 0) return;
+    publisherRef.current?.samples(def, times, samples, gap);
+    const bufs = buffersRef.current[def.key];
+    const derived = derivedRef.current;
+    if (gap) {
+      for (const buf of Object.values(bufs)) buf.push(times[0], null);
+      derived.gap(def.key, times[0]);
+    }
+    const analyse = analysers[def.key];
+    let derivedSamples = 0;
+    samples.forEach(({ row, values }, i) => {
+      const x = times[i];
+      recorderRef.current.addSample(def.key, { deviceTime: x, ...row });
+      analyse?.(x, row, values);
+      for (const [key, y] of Object.entries(values)) {
+        bufs[key]?.push(x, y);
+      }
+      for (const { channel, y } of derived.push(def.key, x, values)) {
+        derivedSamples++;
+        if (channel.record) recorderRef.current.addSample("DERIVED", { deviceTime: x, channel: channel.name, value: y });
+      }
+    });
+    renderLoopRef.current.countSamples(samples.length);
+    if (def.readout) {
+      const row = samples[samples.length - 1].row;
+      setLatest((l) => ({ ...l, [def.key]: row }));
+    }
+    if (viewRef.current.paused) return;
+    for (const id of CHART_IDS[def.key]) renderLoopRef.current.invalidate(id);
+    if (derivedSamples > 0) renderLoopRef.current.invalidate("derived");
+  }
+
+  // Called by the render loop once per frame for each dirty chart id; every
+  // panel showing that chart is redrawn
+  function drawChart(key) {
+    let points = 0;
+    for (const panel of panelsRef.current) {
+      const chart = panel.kind === key ? chartsRef.current[panel.id] : null;
+      if (!chart) continue;
+      chart.update("none");
+      points += chart.data.datasets.reduce((n, ds) => n + ds.data.length, 0);
+    }
+    return points;
+  }
+
+  // ── Connect once, then start/stop notifications per stream ────────────────
+  async function connectDevice() {
+    try {
+      if (!navigator.bluetooth) {
+        notification.error({ message: "Web Bluetooth not supported in this browser." });
+        return;
+      }
+
+      let device;
+      try {
+        device = await navigator.bluetooth.requestDevice({
+          // HRPC boards, plus standard heart-rate straps for reference
+          filters: [{ namePrefix: DEVICE_NAME_SUBSTR }, { services: [HEART_RATE_SERVICE_UUID] }],
+          optionalServices: OPTIONAL_SERVICES,
+        });
+      } catch (e) {
+        device = await navigator.bluetooth.requestDevice({
+          acceptAllDevices: true,
+          optionalServices: OPTIONAL_SERVICES,
+        });
+      }
+
+      if (!claimDevice(device.id)) {
+        notification.warning({ message: `${device.name || "Device"} is already open in another panel` });
+        return;
+      }
+      let server;
+      try {
+        server = await device.gatt.connect();
+      } catch (err) {
+        releaseDevice(); // out of range or pairing cancelled: let it be picked again
+        throw err;
+      }
+      attachDevice(device, server);
+      notification.success({ message: "Device connected" });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  // Shared by real BLE devices and virtual ones (replay, simulator).
+  // streams: keys to offer instead of probing the device's services.
+  function attachDevice(device, server, streams) {
+    deviceRef.current = device;
+    serverRef.current = server;
+    resetTimeline();
+    setDeviceInfo(null);
+    setCaptureFormat(null);
+    if (streams) setStreamKeys(streams);
+    else probeStreams(server);
+    readDeviceInfo(server).then(setDeviceInfo, () => setDeviceInfo(null)); // shown as unavailable
+    applyCalibration(device.name || device.id || DEFAULT_PROFILE_KEY);
+    onDeviceName(device.name || device.id);
+    activeStreamsRef.current.clear();
+    manualDisconnectRef.current = false;
+    setReconnects(0);
+    setConnEvents([]);
+    logConnection("connected");
+
+    detachDevice();
+    const onDisconnected = () => {
+      const wanted = [...activeStreamsRef.current];
+      activeStreamsRef.current.clear();
+      setConnected(false);
+      setActiveStreams([]);
+      subsRef.current = {};
+      closeControl();
+
+      if (replayRef.current) {
+        replayRef.current.dispose();
+        replayRef.current = null;
+        setReplayInfo(null);
+        setReplayPlaying(false);
+        return;
+      }
+      if (simRef.current) {
+        simRef.current.stop();
+        simRef.current = null;
+        setSimConfig(null);
+        return;
+      }
+
+      logConnection("disconnected");
+      if (manualDisconnectRef.current || !autoReconnectRef.current) {
+        manualDisconnectRef.current = false;
+        detachDevice();
+        releaseDevice();
+        notification.warning({ message: "BLE device disconnected" });
+        return;
+      }
+      notification.warning({ message: "BLE device disconnected — reconnecting…" });
+      startReconnect(device, wanted);
+    };
+    device.addEventListener("gattserverdisconnected", onDisconnected);
+    disconnectRef.current.device = device;
+    disconnectRef.current.handler = onDisconnected;
+
+    setConnected(true);
+    openControl(server);
+  }
+
+  // Drops the previous device's disconnect handler, if any
+  function detachDevice() {
+    const listener = disconnectRef.current;
+    listener.device?.removeEventListener("gattserverdisconnected", listener.handler);
+    listener.device = null;
+    listener.handler = null;
+  }
+
+  async function probeStreams(server) {
+    let uuids = null;
+    try {
+      uuids = (await server.getPrimaryServices()).map((svc) => svc.uuid);
+    } catch {
+      // stacks without service listing fall back to the HRPC streams
+    }
+    setStreamKeys(availableStreams(uuids));
+  }
+
+  function logConnection(state, detail) {
+    const ev = connectionEvent(state, detail);
+    setClock(ev.t);
+    setConnEvents((evs) => [...evs, ev]);
+  }
+
+  // Same device, same GATT server; buffers and the device clock carry on, so
+  // the outage shows up as a gap in the link-quality stats
+  function startReconnect(device, wanted) {
+    const rc = createReconnector({
+      connect: async () => {
+        serverRef.current = await device.gatt.connect();
+      },
+      onAttempt: (n) => {
+        setReconnecting(n);
+        if (n === 1) logConnection("reconnecting");
+      },
+      onSuccess: async (n) => {
+        reconnectorRef.current = null;
+        setReconnecting(0);
+        setReconnects((c) => c + 1);
+        setConnected(true);
+        logConnection("connected", `after ${n} attempt${n > 1 ? "s" : ""}`);
+        openControl(serverRef.current);
+        for (const key of wanted) await startStream(key);
+        notification.success({ message: `Reconnected; restored ${wanted.length} stream(s)` });
+      },
+      onGiveUp: (n) => {
+        reconnectorRef.current = null;
+        setReconnecting(0);
+        logConnection("failed", `${n} attempts`);
+        detachDevice();
+        releaseDevice();
+        notification.error({ message: "Reconnect failed — connect again manually" });
+      },
+    });
+    reconnectorRef.current = rc;
+    rc.start();
+  }
+
+  function cancelReconnect() {
+    reconnectorRef.current?.cancel();
+    reconnectorRef.current = null;
+    setReconnecting(0);
+    logConnection("disconnected", "reconnect cancelled");
+    detachDevice();
+    releaseDevice();
+  }
+
+  function toggleAutoReconnect(on) {
+    autoReconnectRef.current = on;
+    setAutoReconnect(on);
+  }
+
+  async function disconnectDevice() {
+    if (reconnectorRef.current) {
+      cancelReconnect();
+      return;
+    }
+    try {
+      if (deviceRef.current && deviceRef.current.gatt.connected) {
+        manualDisconnectRef.current = true;
+        deviceRef.current.gatt.disconnect();
+      }
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  // ── Control channel ──────────────────────────────────────────────────────
+  // Optional: firmware without the control service just reads as usual
+  async function openControl(server) {
+    try {
+      const svc = await server.getPrimaryService(CONTROL_SERVICE_UUID);
+      const client = createControlClient(await svc.getCharacteristic(CONTROL_CHAR_UUID));
+      await client.start();
+      controlRef.current = client;
+      const config = await client.getConfig();
+      setDeviceConfig(config);
+      syncCalibrationRanges(config);
+    } catch {
+      // no control service: the settings stay unavailable
+      controlRef.current = null;
+      setDeviceConfig(null);
+    }
+  }
+
+  function closeControl() {
+    controlRef.current?.stop();
+    controlRef.current = null;
+    setDeviceConfig(null);
+    setSettingsOpen(false);
+  }
+
+  // Sends the changed settings, then re-reads what the device actually holds
+  async function applySettings(next) {
+    const client = controlRef.current;
+    if (!client) return null;
+    try {
+      const results = await client.apply(deviceConfig, next);
+      let config = deviceConfig;
+      try {
+        config = await client.getConfig();
+        setDeviceConfig(config);
+        syncCalibrationRanges(config);
+      } catch (err) {
+        results.push({ label: "Read back configuration", ok: false, error: String(err?.message || err) });
+      }
+      const failed = results.filter((r) => !r.ok);
+      if (failed.length === 0) notification.success({ message: `Applied ${results.length} setting(s)` });
+      else notification.error({ message: `${failed.length} of ${results.length} setting(s) failed` });
+      return { results, config };
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+      return null;
+    }
+  }
+
+  async function reloadSettings() {
+    const client = controlRef.current;
+    if (!client) return null;
+    try {
+      const config = await client.getConfig();
+      setDeviceConfig(config);
+      syncCalibrationRanges(config);
+      return { results: [{ label: "Read configuration", ok: true }], config };
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+      return { results: [{ label: "Read configuration", ok: false, error: String(err?.message || err) }] };
+    }
+  }
+
+  // Raw IMU counts scale with the full-scale range, so keep the profile in
+  // step with every configuration read from the device
+  function syncCalibrationRanges(config) {
+    const profile = converterRef.current.profile;
+    if (profile.accel.range === config.accelRange && profile.gyro.range === config.gyroRange) return;
+    const saved = saveProfile(deviceKeyRef.current, {
+      ...profile,
+      accel: { ...profile.accel, range: config.accelRange },
+      gyro: { ...profile.gyro, range: config.gyroRange },
+    });
+    converterRef.current = createConverter(saved);
+    setCalProfile(saved);
+  }
+
+  // ── Calibration ───────────────────────────────────────────────────────────
+  function applyCalibration(key) {
+    const profile = profileFor(key);
+    converterRef.current = createConverter(profile);
+    deviceKeyRef.current = key;
+    setDeviceKey(key);
+    setCalProfile(profile);
+  }
+
+  // Applies to samples decoded from now on; buffered points keep their units
+  function saveCalibration(profile) {
+    const saved = saveProfile(deviceKey, profile);
+    converterRef.current = createConverter(saved);
+    setCalProfile(saved);
+    setCalOpen(false);
+    notification.success({ message: `Calibration saved for ${deviceKey}` });
+  }
+
+  // ── Simulator ─────────────────────────────────────────────────────────────
+  async function connectSimulator() {
+    try {
+      const device = createSimulatorDevice(STREAM_UUIDS);
+      const server = await device.gatt.connect();
+      const sim = createSimulator(device, STREAM_UUIDS, DEFAULT_SIM_CONFIG);
+      simRef.current = sim;
+      attachDevice(device, server);
+      sim.start();
+      setSimConfig(sim.config);
+      notification.success({ message: "Simulator connected" });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  function updateSimulator(patch) {
+    const sim = simRef.current;
+    if (!sim) return;
+    sim.update(patch);
+    setSimConfig(sim.config);
+  }
+
+  // ── Replay ─────────────────────────────────────────────────────────────────
+  async function loadCapture(file) {
+    try {
+      const capture = parseCapture(await file.text());
+      const device = createReplayDevice(STREAM_UUIDS, file.name);
+      const server = await device.gatt.connect();
+      const player = createReplayPlayer(capture, device, STREAM_UUIDS, {
+        onProgress: setReplayPos,
+        onEnd: () => setReplayPlaying(false),
+      });
+      player.setSpeed(replaySpeed);
+      replayRef.current = player;
+      const present = new Set(capture.packets.map((p) => p.stream));
+      attachDevice(device, server, STREAM_DEFS.filter((d) => present.has(d.key)).map((d) => d.key));
+      setCaptureFormat(capture.meta.packetFormat ?? packetFormatFor(capture.meta.firmware));
+      setReplayInfo({ name: file.name, duration: player.duration, packets: player.packetCount });
+      setReplayPos(0);
+
+      // Subscribe every stream present in the capture, as a user would
+      for (const def of STREAM_DEFS) {
+        if (present.has(def.key)) await startStream(def.key);
+      }
+      notification.success({ message: `Loaded ${player.packetCount} packets from ${file.name}` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: `Could not load capture: ${err?.message || err}` });
+    }
+  }
+
+  function toggleReplay() {
+    const player = replayRef.current;
+    if (!player) return;
+    if (player.playing) player.pause();
+    else player.play();
+    setReplayPlaying(player.playing);
+  }
+
+  // Seeking back replays device times already plotted, so the timeline
+  // starts over; packets skipped by seeking ahead are not lost
+  function seekReplay(pos) {
+    const player = replayRef.current;
+    if (!player) return;
+    if (pos < player.position) {
+      resetTimeline();
+    } else {
+      linkRef.current.reset();
+      setLinkStats([]);
+    }
+    player.seek(pos);
+  }
+
+  function changeReplaySpeed(speed) {
+    setReplaySpeed(speed);
+    replayRef.current?.setSpeed(speed);
+  }
+
+  const fmtClock = (ms) => {
+    const sec = Math.floor(ms / 1000);
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+  };
+
+  // ── Stream Start/Stop ─────────────────────────────────────────────────────
+  async function startStream(key) {
+    if (activeStreamsRef.current.has(key)) return;
+    const def = STREAM_BY_KEY[key];
+    try {
+      if (!serverRef.current) return;
+      const sub = (subsRef.current[key] ??= { char: null, handler: null });
+      if (!sub.char) {
+        const svc = await serverRef.current.getPrimaryService(def.service);
+        sub.char = await svc.getCharacteristic(def.characteristic);
+      }
+      if (!sub.handler) {
+        sub.handler = (e) => {
+          // Replayed packets keep their captured time, so a re-recording is lossless
+          recorderRef.current.addPacket(key, e.target.value, e.target.hostTime ?? undefined);
+          ingest(def, e.target.value, e.target.hostTime);
+        };
+        sub.char.addEventListener("characteristicvaluechanged", sub.handler);
+      }
+      await sub.char.startNotifications();
+      if (def.initialRead) ingest(def, await sub.char.readValue(), sub.char.hostTime);
+      lastSeenRef.current[key] ??= Date.now(); // grace period for "no data" alarms
+      activeStreamsRef.current.add(key);
+      setActiveStreams((on) => [...on, key]);
+      notification.success({ message: `${key} notifications started` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  async function stopStream(key) {
+    if (!activeStreamsRef.current.has(key)) return;
+    try {
+      const sub = subsRef.current[key];
+      if (!sub?.char) return;
+      if (sub.handler) {
+        sub.char.removeEventListener("characteristicvaluechanged", sub.handler);
+        sub.handler = null;
+      }
+      await sub.char.stopNotifications();
+      activeStreamsRef.current.delete(key);
+      delete lastSeenRef.current[key];
+      setActiveStreams((on) => on.filter((k) => k !== key));
+      setLatest(({ [key]: _, ...rest }) => rest);
+      notification.info({ message: `${key} notifications stopped` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: String(err?.message || err) });
+    }
+  }
+
+  // ── Live publishing ───────────────────────────────────────────────────────
+  function startLive() {
+    const channel = newChannelId();
+    publisherRef.current = createLivePublisher(channel, {
+      onError: (err) => notification.warning({ message: `Live publishing: ${err?.message || err}` }),
+    });
+    setLiveChannel(channel);
+  }
+
+  function stopLive() {
+    publisherRef.current?.stop();
+    publisherRef.current = null;
+    setLiveChannel(null);
+  }
+
+  const liveUrl = (channel) => `${window.location.origin}/live?channel=${encodeURIComponent(channel)}`;
+
+  // ── View: pause, zoom, pan ────────────────────────────────────────────────
+  // x range of a chart showing `window` seconds; null lets Chart.js fit the data
+  function xRange(window) {
+    const { paused, at, range } = viewRef.current;
+    if (range) return range;
+    const end = paused ? at : lastXRef.current;
+    return end == null ? null : { min: end - window, max: end };
+  }
+
+  function pauseView() {
+    setView({ paused: true, at: lastXRef.current, range: null });
+  }
+
+  function goLive() {
+    setView(LIVE_VIEW);
+  }
+
+  function zoomTo(range) {
+    setView((v) => ({ paused: true, at: v.paused ? v.at : lastXRef.current, range }));
+  }
+
+  function resetZoom() {
+    setView((v) => ({ ...v, range: null }));
+  }
+
+  // Half a view back (-1) or forward (+1)
+  function stepView(dir) {
+    setView((v) => {
+      if (v.range) {
+        const d = (dir * (v.range.max - v.range.min)) / 2;
+        return { ...v, paused: true, range: { min: v.range.min + d, max: v.range.max + d } };
+      }
+      const at = v.paused ? v.at : lastXRef.current;
+      if (at == null) return v;
+      const step = Math.min(...streamKeys.map((k) => STREAM_BY_KEY[k].window), TREND_WINDOW_SEC) / 2;
+      return { paused: true, at: at + dir * step, range: null };
+    });
+  }
+
+  // ── Markers ───────────────────────────────────────────────────────────────
+  function addMarker() {
+    const deviceTs = lastDeviceTsRef.current;
+    if (deviceTs == null) {
+      notification.warning({ message: "No data yet — markers are placed on the device clock" });
+      return;
+    }
+    setMarkers((ms) => [...ms, createMarker({ label: markerText || `Marker ${ms.length + 1}`, deviceTs })]);
+    setMarkerText("");
+  }
+
+  function removeMarker(markerId) {
+    setMarkers((ms) => ms.filter((m) => m.id !== markerId));
+  }
+
+  function renameMarker(markerId, label) {
+    setMarkers((ms) => ms.map((m) => (m.id === markerId ? { ...m, label } : m)));
+  }
+
+  function exportMarkers({ key }) {
+    const stem = `${sessionFileStem({ startedAt: markers[0]?.t })}_markers`;
+    if (key === "json") {
+      const meta = { device: deviceRef.current?.name ?? name };
+      downloadText(`${stem}.json`, markersToJson(markers, meta), "application/json");
+    } else {
+      downloadText(`${stem}.csv`, markersToCsv(markers), "text/csv");
+    }
+  }
+
+  async function importMarkers(file) {
+    try {
+      const imported = parseMarkers(await file.text());
+      setMarkers((ms) => [...ms, ...imported].sort((a, b) => a.deviceTs - b.deviceTs));
+      notification.success({ message: `Imported ${imported.length} marker(s)` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: `Could not import markers: ${err?.message || err}` });
+    }
+  }
+
+  // ── Alarms ────────────────────────────────────────────────────────────────
+  // Latest value of a rule's channel and how long its stream has been quiet;
+  // null while the stream is off
+  function readChannel(rule) {
+    const stream = channelStream(rule.channel);
+    if (!activeStreamsRef.current.has(stream)) return null;
+    const seen = lastSeenRef.current[stream];
+    const [source, key] = rule.channel.split(".");
+    const buf =
+      source === "vitals"
+        ? key === "hr" ? hrTrend.current : spo2Trend.current
+        : buffersRef.current[source]?.[key];
+    return {
+      value: buf && buf.length > 0 ? buf.y(buf.length - 1) : null,
+      age: seen == null ? null : (Date.now() - seen) / 1000,
+    };
+  }
+
+  function checkAlarms() {
+    const monitor = alarmMonitorRef.current;
+    const { raised, cleared } = monitor.evaluate(alarmSettings.rules, readChannel);
+    const now = Date.now();
+    if (raised.length > 0 || cleared.length > 0) {
+      setAlarmLog((log) => [
+        ...log,
+        ...raised.map(({ rule, value }) => ({ id: `${now}-${rule.id}-raised`, t: now, state: "raised", rule, value })),
+        ...cleared.map(({ rule }) => ({ id: `${now}-${rule.id}-cleared`, t: now, state: "cleared", rule, value: null })),
+      ]);
+      setActiveAlarms(monitor.active);
+    }
+    for (const { rule, value } of raised) {
+      const notify = rule.severity === "critical" ? notification.error : notification.warning;
+      notify({
+        key: `alarm-${id}-${rule.id}`,
+        message: `${name}: ${describeRule(rule)}`,
+        description: value != null ? `Value ${+value.toFixed(2)}` : undefined,
+      });
+    }
+    if (cleared.length > 0) {
+      const gone = new Set(cleared.map(({ rule }) => rule.id));
+      setAcknowledged((ids) => ids.filter((ruleId) => !gone.has(ruleId)));
+    }
+
+    const unacked = monitor.active.filter((a) => !acknowledged.includes(a.rule.id));
+    if (alarmSettings.sound && unacked.length > 0 && now - lastBeepRef.current >= ALARM_BEEP_MS) {
+      lastBeepRef.current = now;
+      playAlarmTone(unacked.some((a) => a.rule.severity === "critical") ? "critical" : "warning");
+    }
+  }
+
+  function saveAlarms(settings) {
+    alarmStore.set(settings);
+    setAlarmsOpen(false);
+    notification.success({ message: `Saved ${settings.rules.length} alarm rule(s)` });
+  }
+
+  // Saving the first channels adds a panel to show them
+  function saveDerived(channels) {
+    derivedStore.set(channels);
+    setDerivedOpen(false);
+    if (channels.length > 0) {
+      editLayout((ps) => (ps.some((p) => p.kind === "derived") ? ps : [...ps, createPanel("derived")]));
+    }
+    notification.success({ message: `Saved ${channels.length} derived channel(s)` });
+  }
+
+  function exportAlarmLog() {
+    const stem = `${sessionFileStem({ startedAt: alarmLog[0]?.t })}_alarms`;
+    downloadText(`${stem}.csv`, alarmLogToCsv(alarmLog), "text/csv");
+  }
+
+  // ── Recording ─────────────────────────────────────────────────────────────
+  function startRecording() {
+    recorderRef.current.start();
+    setRecordStats({ elapsed: 0, packets: 0 });
+    setRecording(true);
+    notification.success({ message: "Recording started" });
+  }
+
+  function stopRecording() {
+    const rec = recorderRef.current;
+    rec.stop();
+    setRecording(false);
+    setHasRecording(rec.packetCount > 0);
+    setRecordedStreams(rec.streams);
+    setRecordStats({ elapsed: Date.now() - rec.startedAt, packets: rec.packetCount });
+    notification.info({ message: `Recording stopped (${rec.packetCount} packets)` });
+  }
+
+  // Capture header: what a replay needs to decode the packets again
+  function captureMeta() {
+    return { device: deviceRef.current?.name ?? null, firmware: deviceInfo?.firmware ?? null, packetFormat };
+  }
+
+  function exportRecording({ key }) {
+    const session = recorderRef.current.session();
+    const stem = sessionFileStem(session);
+    if (key === "library") {
+      saveToLibrary(session);
+      return;
+    }
+    if (key === "jsonl") {
+      downloadText(`${stem}_packets.jsonl`, sessionToJsonl(session, captureMeta()), "application/x-ndjson");
+      return;
+    }
+    downloadText(`${stem}_${key}.csv`, samplesToCsv(key, session.samples[key] ?? []), "text/csv");
+  }
+
+  // Uploads the recording with its markers and device information
+  async function saveToLibrary(session) {
+    try {
+      const device = deviceRef.current?.name ?? null;
+      const saved = await uploadSession({
+        name: `${device ?? name} ${new Date(session.startedAt).toLocaleString()}`,
+        capture: sessionToJsonl(session, captureMeta()),
+        deviceInfo,
+        markers,
+      });
+      notification.success({ message: `Saved "${saved.name}" to the session library` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: `Could not save session: ${err?.message || err}` });
+    }
+  }
+
+  // Replays a library session like a loaded capture, with its markers
+  async function openLibrarySession(sessionId) {
+    try {
+      const [meta, text] = await Promise.all([getLibrarySession(sessionId), fetchCapture(sessionId)]);
+      await loadCapture(new File([text], `${meta.name}.jsonl`));
+      setMarkers(meta.markers ?? []);
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: `Could not open session: ${err?.message || err}` });
+    }
+  }
+
+  const exportItems = hasRecording
+    ? [
+      { key: "library", label: "Save to library" },
+      { type: "divider" },
+      { key: "jsonl", label: "Raw packets (.jsonl, lossless)" },
+      { type: "divider" },
+      ...recordedStreams.map((s) => ({ key: s, label: `${s} samples (.csv)` })),
+    ]
+    : [];
+
+  // Charts read markers through a ref; redraw when the list changes
+  useEffect(() => {
+    markersRef.current = markers;
+    for (const chart of Object.values(chartsRef.current)) chart?.update("none");
+  }, [markers]);
+
+  // Viewers get the panel's streams and chart titles again whenever they change
+  useEffect(() => {
+    if (!liveChannel) return;
+    publisherRef.current?.send({
+      type: "hello",
+      name,
+      device: deviceRef.current?.name ?? null,
+      streams: streamKeys,
+      titles: Object.fromEntries(
+        STREAM_DEFS.flatMap((d) => d.charts.map((c) => [c.id, chartTitle(c, calProfile)]))
+      ),
+    });
+  }, [liveChannel, name, connected, streamKeys, calProfile]);
+
+  useEffect(() => {
+    if (!liveChannel) return;
+    publisherRef.current?.send({
+      type: "markers",
+      lines: markerLines(markers, timeOriginRef.current, TIMESTAMP_TICKS_PER_SECOND),
+    });
+  }, [liveChannel, markers]);
+
+  // Closing the panel (or the tab) ends the channel
+  useEffect(() => {
+    const end = () => publisherRef.current?.stop();
+    window.addEventListener("pagehide", end);
+    return () => {
+      window.removeEventListener("pagehide", end);
+      end();
+    };
+  }, []);
+
+  // Charts read the view through a ref; redraw when it changes
+  useEffect(() => {
+    viewRef.current = view;
+    for (const chart of Object.values(chartsRef.current)) chart?.update("none");
+  }, [view]);
+
+  // Opened from the session library (/?session=<id>)
+  const openSessionRef = useRef(null);
+  useEffect(() => {
+    openSessionRef.current = openLibrarySession;
+  });
+
+  useEffect(() => {
+    if (librarySession) openSessionRef.current?.(librarySession);
+  }, [librarySession]);
+
+  // The page routes the marker hotkey to the active panel's addMarker
+  useEffect(() => {
+    addMarkerRef.current = addMarker;
+  });
+
+  // Share the (stable) buffer arrays with the page for overlay charts, and
+  // the hotkey's entry point
+  useEffect(() => {
+    onRegister(id, {
+      addMarker: () => addMarkerRef.current?.(),
+      getMarkers: () => markerLines(markersRef.current, timeOriginRef.current, TIMESTAMP_TICKS_PER_SECOND),
+      buffers: buffersRef.current,
+      hrTrend: hrTrend.current,
+      spo2Trend: spo2Trend.current,
+    });
+    return () => onRegister(id, null);
+  }, [id, onRegister]);
+
+  // ── Chart data & options ───────────────────────────────────────────────────
+  // keys: series to plot (the panel's own choice on selectable charts)
+  const chartData = (def, chart, keys) => {
+    const series = seriesOf(def, keys);
+    const width = series.length > 1 ? 1.5 : 1.8;
+    return {
+      datasets: series.map((sr) =>
+        lineDataset(sr.label, buffersRef.current[def.key][sr.key], sr.color, { background: sr.background, width })
+      ),
+    };
+  };
+
+  const vitalsData = {
+    datasets: [
+      {
+        label: "HR (bpm)",
+        data: [],
+        ring: hrTrend.current,
+        yAxisID: "hr",
+        borderWidth: 1.8,
+        pointRadius: 0,
+        tension: 0.2,
+        borderColor: "#dc2626",
+      },
+      {
+        label: "SpO2 (%)",
+        data: [],
+        ring: spo2Trend.current,
+        yAxisID: "spo2",
+        borderWidth: 1.8,
+        pointRadius: 0,
+        tension: 0.2,
+        borderColor: "#0ea5e9",
+      },
+    ],
+  };
+
+  const markerPlugin = {
+    getMarkers: () => markerLines(markersRef.current, timeOriginRef.current, TIMESTAMP_TICKS_PER_SECOND),
+  };
+  const markedOptions = {
+    ...commonOptions,
+    plugins: {
+      ...commonOptions.plugins,
+      markerLines: markerPlugin,
+      zoomPan: { onRange: zoomTo, onReset: resetZoom },
+    },
+  };
+  const shadeRegions = { getRegions: () => motionRef.current.segments };
+
+  // Scale limits are scriptable, so the x range is read at draw time
+  const xScale = (window) => ({
+    ...commonOptions.scales.x,
+    min: () => xRange(window)?.min,
+    max: () => xRange(window)?.max,
+  });
+  const chartOptions = (def, chart) => ({
+    ...markedOptions,
+    scales: { ...commonOptions.scales, x: xScale(def.window) },
+    plugins: {
+      ...markedOptions.plugins,
+      ringData: { getRange: () => xRange(def.window) },
+      ...(chart.shadeMotion && { shadeRegions }),
+    },
+  });
+
+  const vitalsOptions = {
+    ...markedOptions,
+    plugins: { ...markedOptions.plugins, ringData: { getRange: () => xRange(TREND_WINDOW_SEC) } },
+    scales: {
+      x: xScale(TREND_WINDOW_SEC),
+      hr: { position: "left", suggestedMin: 50, suggestedMax: 120, grid: { color: "rgba(0,0,0,0.06)" } },
+      spo2: { position: "right", min: 70, max: 100, grid: { display: false } },
+    },
+  };
+
+  const qualityColor = { Good: "green", Fair: "gold", Poor: "red" };
+
+  const fmtNum = (v, digits = 1) => (v == null ? "—" : v.toFixed(digits));
+  const linkColumns = [
+    { title: "Stream", dataIndex: "stream" },
+    { title: "Packets", dataIndex: "packets" },
+    { title: "Samples/s", dataIndex: "sampleRate", render: (v) => fmtNum(v) },
+    {
+      title: "Interval (ms)",
+      key: "interval",
+      render: (_, r) => `${fmtNum(r.interval)} ± ${fmtNum(r.jitter)}`,
+    },
+    { title: "Gaps", dataIndex: "gaps" },
+    {
+      title: "Est. lost",
+      key: "lost",
+      render: (_, r) => (
+        <Tag color={r.lost === 0 ? "green" : r.lossPct < 1 ? "gold" : "red"}>
+          {r.lost} ({fmtNum(r.lossPct, 2)}%)
+        </Tag>
+      ),
+    },
+    {
+      title: "Last gap",
+      dataIndex: "sinceGap",
+      render: (v) => (v == null ? "—" : `${(v / 1000).toFixed(0)} s ago`),
+    },
+    { title: "Drift (ppm)", dataIndex: "driftPpm", render: (v) => fmtNum(v, 0) },
+    { title: "Resets", dataIndex: "resets" },
+  ];
+
+  // ── Workspace panels ──────────────────────────────────────────────────────
+  // The layout belongs to the page's active workspace; edits go back up as
+  // updater functions
+  const editLayout = (fn) => onLayoutChange?.(fn);
+  const selectSeries = (panelId, keys) => editLayout((ps) => updatePanel(ps, panelId, { series: keys }));
+
+  function panelAction(panel, key) {
+    if (key === "duplicate") editLayout((ps) => duplicatePanel(ps, panel.id));
+    else if (key === "hide") editLayout((ps) => updatePanel(ps, panel.id, { hidden: true }));
+    else if (key === "remove") editLayout((ps) => removePanel(ps, panel.id));
+  }
+
+  const offered = STREAM_DEFS.filter((d) => streamKeys.includes(d.key));
+  const chartOf = Object.fromEntries(offered.flatMap((def) => def.charts.map((chart) => [chart.id, { def, chart }])));
+
+  // Panels whose streams the device offers
+  const shownPanels = layout.filter(
+    (p) => !p.hidden && PANEL_KIND[p.kind].streams.some((key) => streamKeys.includes(key))
+  );
+
+  const chartCard = (panel, { def, chart }, { handle, menu, height }) => (
+    <Card
+      className="card"
+      title={<Space size={6}>{handle}{chartTitle(chart, calProfile)}</Space>}
+      extra={
+        <Space size="small">
+          {chart.selectable && (
+            <>
+              <Select
+                size="small"
+                style={{ minWidth: 100 }}
+                mode="multiple"
+                maxTagCount="responsive"
+                placeholder="Select series"
+                options={seriesOf(def, chart.series).map((sr) => ({ label: sr.label, value: sr.key }))}
+                value={panel.series}
+                onChange={(keys) => selectSeries(panel.id, keys)}
+              />
+              <Button size="small" onClick={() => selectSeries(panel.id, chart.series)}>All</Button>
+              <Button size="small" onClick={() => selectSeries(panel.id, [])}>None</Button>
+            </>
+          )}
+          {menu}
+        </Space>
+      }
+      bodyStyle={{ height }}
+    >
+      <Line
+        ref={(c) => {
+          chartsRef.current[panel.id] = c;
+        }}
+        data={chartData(def, chart, chart.selectable ? panel.series ?? [] : chart.series)}
+        options={chartOptions(def, chart)}
+        plugins={
+          chart.shadeMotion
+            ? [ringDataPlugin, shadeRegionsPlugin, markerLinesPlugin, zoomPanPlugin]
+            : [ringDataPlugin, markerLinesPlugin, zoomPanPlugin]
+        }
+      />
+    </Card>
+  );
+
+  // Derived from the PPG
+  const vitalsCard = (panel, { handle, menu, height }) => (
+    <Card
+      className="card"
+      title={<Space size={6}>{handle}Vitals (PPG)</Space>}
+      extra={
+        <Space size={4}>
+          {motion && (
+            <Tag color={motion.moving ? "red" : "default"}>
+              Motion {motion.index.toFixed(1)}{motion.moving ? " · moving" : ""}
+            </Tag>
+          )}
+          {vitals?.gated && <Tag color="red">Gated by motion</Tag>}
+          {vitals && (
+            <Tag color={qualityColor[vitals.qualityLabel]}>
+              Signal {vitals.qualityLabel} ({Math.round(vitals.quality * 100)}%)
+            </Tag>
+          )}
+          {menu}
+        </Space>
+      }
+    >
+      <Flex justify="space-around" style={{ marginBottom: 8 }}>
+        <Statistic title="Heart rate" value={vitals?.hr ?? "—"} precision={0} suffix="bpm" />
+        <Statistic title="IBI" value={vitals?.lastIbi ?? "—"} precision={0} suffix="ms" />
+        <Statistic title="SpO2" value={vitals?.spo2 ?? "—"} precision={1} suffix="%" />
+        <Statistic title="Perfusion" value={vitals?.perfusion != null ? vitals.perfusion * 100 : "—"} precision={2} suffix="%" />
+      </Flex>
+      <div style={{ height }}>
+        <Line
+          ref={(c) => {
+            chartsRef.current[panel.id] = c;
+          }}
+          data={vitalsData}
+          options={vitalsOptions}
+          plugins={[ringDataPlugin, markerLinesPlugin, zoomPanPlugin]}
+        />
+      </div>
+    </Card>
+  );
+
+  // User-defined channels; follows the longest window of the shown channels'
+  // trigger streams
+  const derivedCard = (panel, { handle, menu, height }) => {
+    const shown = derivedChannels.filter((c) => !panel.series || panel.series.includes(c.id));
+    const span = Math.max(0, ...shown.map(derivedWindow).filter(Boolean));
+    const data = {
+      datasets: shown.map((c) =>
+        lineDataset(c.unit ? `${c.name} (${c.unit})` : c.name, derivedRef.current.buffer(c.id), c.color, {
+          width: shown.length > 1 ? 1.5 : 1.8,
+        })
+      ),
+    };
+    const options = {
+      ...markedOptions,
+      scales: { ...commonOptions.scales, x: xScale(span) },
+      plugins: { ...markedOptions.plugins, ringData: { getRange: () => xRange(span) } },
+    };
+    return (
+      <Card
+        className="card"
+        title={<Space size={6}>{handle}Derived</Space>}
+        extra={
+          <Space size="small">
+            {derivedChannels.length > 0 && (
+              <Select
+                size="small"
+                style={{ minWidth: 120 }}
+                mode="multiple"
+                maxTagCount="responsive"
+                placeholder="Select channels"
+                options={derivedChannels.map((c) => ({ label: c.name, value: c.id }))}
+                value={panel.series ?? derivedChannels.map((c) => c.id)}
+                onChange={(keys) => selectSeries(panel.id, keys)}
+              />
+            )}
+            <Button size="small" onClick={() => setDerivedOpen(true)}>Edit…</Button>
+            {menu}
+          </Space>
+        }
+        bodyStyle={{ height }}
+      >
+        {derivedChannels.length === 0 ? (
+          <span className="small">No derived channels yet — use Edit… to define some.</span>
+        ) : (
+          <Line
+            ref={(c) => {
+              chartsRef.current[panel.id] = c;
+            }}
+            data={data}
+            options={options}
+            plugins={[ringDataPlugin, markerLinesPlugin, zoomPanPlugin]}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  function renderPanel(panel, controls) {
+    if (panel.kind === "vitals") return vitalsCard(panel, controls);
+    if (panel.kind === "derived") return derivedCard(panel, controls);
+    if (panel.kind === "spectrum") return <SpectrumPanel buffers={buffersRef.current} paused={view.paused} {...controls} />;
+    if (panel.kind === "battery") {
+      return <BatteryHealth log={batteryRef.current} getMarkers={markerPlugin.getMarkers} {...controls} />;
+    }
+    return chartCard(panel, chartOf[panel.kind], controls);
+  }
+
+  return (
+    <div
+      className={`device-panel${active ? " active" : ""}`}
+      style={{ borderTopColor: color }}
+      onPointerDownCapture={onActivate}
+      onFocusCapture={onActivate}
+    >
+      <div className="header">
+        <Space size={8}>
+          <span className="device-dot" style={{ background: color }} />
+          <Input
+            variant="borderless"
+            style={{ fontWeight: 600, fontSize: 16, width: 200, padding: 0 }}
+            value={name}
+            onChange={(e) => onRename(e.target.value)}
+          />
+        </Space>
+        <Button size="small" disabled={connected || reconnecting > 0} onClick={onRemove}>
+          Remove
+        </Button>
+      </div>
+      <div className="header">
+        <Space wrap>
+          <Button
+            type={connected ? "default" : "primary"}
+            danger={connected}
+            onClick={connected || reconnecting ? disconnectDevice : connectDevice}
+          >
+            {reconnecting
+              ? "Cancel Reconnect"
+              : connected
+                ? replayInfo ? "Close Replay" : simConfig ? "Disconnect Simulator" : "Disconnect Device"
+                : "Connect Device"}
+          </Button>
+          <Button disabled={connected || reconnecting > 0} onClick={connectSimulator}>
+            Connect to Simulator
+          </Button>
+          <Upload
+            accept=".jsonl,.txt,.csv,.log"
+            showUploadList={false}
+            disabled={connected || reconnecting > 0}
+            beforeUpload={(file) => {
+              loadCapture(file);
+              return false;
+            }}
+          >
+            <Button disabled={connected || reconnecting > 0}>Load Capture</Button>
+          </Upload>
+          <Divider type="vertical" />
+          {/* Toggle buttons per stream */}
+          {offered.map(({ key }) => {
+            const on = activeStreams.includes(key);
+            return (
+              <Button
+                key={key}
+                onClick={() => (on ? stopStream(key) : startStream(key))}
+                disabled={!connected}
+                type={on ? "primary" : "default"}
+              >
+                {on ? `Turn Off ${key}` : `Turn On ${key}`}
+              </Button>
+            );
+          })}
+          <Divider type="vertical" />
+          <Space.Compact>
+            <Input
+              style={{ width: 180 }}
+              placeholder={`Marker label (${MARKER_HOTKEY.toUpperCase()})`}
+              value={markerText}
+              onChange={(e) => setMarkerText(e.target.value)}
+              onPressEnter={addMarker}
+            />
+            <Button disabled={!connected} onClick={addMarker}>Mark</Button>
+          </Space.Compact>
+          <Divider type="vertical" />
+          <Space.Compact>
+            <Button title="Back half a view" onClick={() => stepView(-1)}>◀</Button>
+            <Button type={view.paused ? "primary" : "default"} onClick={view.paused ? goLive : pauseView}>
+              {view.paused ? "Live" : "Pause"}
+            </Button>
+            <Button title="Forward half a view" onClick={() => stepView(1)}>▶</Button>
+          </Space.Compact>
+          <Button disabled={!view.range} onClick={resetZoom}>Reset Zoom</Button>
+          <Divider type="vertical" />
+          <Button disabled={!deviceConfig} onClick={() => setSettingsOpen(true)}>Device Settings</Button>
+          <Button onClick={() => setCalOpen(true)}>Calibration</Button>
+          <Select
+            style={{ width: 230 }}
+            title="Packet format"
+            value={formatOverride ?? "auto"}
+            onChange={(v) => setFormatOverride(v === "auto" ? null : v)}
+            options={[
+              { value: "auto", label: `Format: auto · ${PACKET_FORMATS[autoFormat].label}` },
+              ...Object.entries(PACKET_FORMATS).map(([v, f]) => ({ value: Number(v), label: `Format: ${f.label}` })),
+            ]}
+          />
+          <Button danger={activeAlarms.length > 0} onClick={() => setAlarmsOpen(true)}>
+            Alarms{activeAlarms.length > 0 ? ` (${activeAlarms.length})` : ""}
+          </Button>
+          <Button onClick={() => setDerivedOpen(true)}>
+            Derived{derivedChannels.length > 0 ? ` (${derivedChannels.length})` : ""}
+          </Button>
+          <Space size={6}>
+            <span className="small">Stats</span>
+            <Switch size="small" checked={perfOn} onChange={setPerfOn} />
+            <span className="small">Worker decode</span>
+            <Switch size="small" checked={workerDecode} onChange={setWorkerDecode} />
+          </Space>
+          <Button danger={recording} onClick={recording ? stopRecording : startRecording}>
+            {recording ? "Stop Recording" : "Record"}
+          </Button>
+          <Dropdown
+            disabled={recording || !hasRecording}
+            menu={{ items: exportItems, onClick: exportRecording }}
+          >
+            <Button>Export</Button>
+          </Dropdown>
+          <Button type={liveChannel ? "primary" : "default"} onClick={liveChannel ? stopLive : startLive}>
+            {liveChannel ? "Stop Publishing" : "Publish Live"}
+          </Button>
+        </Space>
+      </div>
+
+      {activeAlarms.length > 0 && (
+        <Alert
+          banner
+          showIcon
+          style={{ marginBottom: 12 }}
+          type={activeAlarms.some((a) => a.rule.severity === "critical") ? "error" : "warning"}
+          message={
+            <Space direction="vertical" size={0}>
+              {activeAlarms.map(({ rule, value, since }) => (
+                <span key={rule.id}>
+                  <strong>{describeRule(rule)}</strong>
+                  {value != null && ` · ${+value.toFixed(2)}`}
+                  {` · since ${new Date(since).toLocaleTimeString()}`}
+                  {acknowledged.includes(rule.id) && " · acknowledged"}
+                </span>
+              ))}
+            </Space>
+          }
+          action={
+            <Button
+              size="small"
+              disabled={activeAlarms.every((a) => acknowledged.includes(a.rule.id))}
+              onClick={() => setAcknowledged(activeAlarms.map((a) => a.rule.id))}
+            >
+              Acknowledge
+            </Button>
+          }
+        />
+      )}
+
+      <Space wrap>
+        {reconnecting > 0 && <Tag color="orange">Reconnecting (attempt {reconnecting})</Tag>}
+        <Tag color={connected ? "green" : "red"}>
+          Device {connected ? (replayInfo ? "Replaying" : simConfig ? "Simulated" : "Connected") : "Disconnected"}
+        </Tag>
+        {offered.map(({ key }) => {
+          const on = activeStreams.includes(key);
+          return (
+            <Tag key={key} color={on ? "green" : "default"}>
+              {key} {on ? "On" : "Off"}
+            </Tag>
+          );
+        })}
+        {view.paused && (
+          <Tag color="blue">
+            {view.range
+              ? `Viewing ${formatDeviceTime(view.range.min)}–${formatDeviceTime(view.range.max)}`
+              : view.at != null
+                ? `Paused at ${formatDeviceTime(view.at)}`
+                : "Paused"}
+          </Tag>
+        )}
+        {(recording || hasRecording) && (
+          <Tag color={recording ? "red" : "default"}>
+            {recording ? "REC" : "Recorded"} {(recordStats.elapsed / 1000).toFixed(0)}s · {recordStats.packets} packets
+          </Tag>
+        )}
+        {liveChannel && (
+          <Tag color="magenta">
+            LIVE ·{" "}
+            <Typography.Link href={liveUrl(liveChannel)} target="_blank" copyable={{ text: liveUrl(liveChannel) }}>
+              viewer
+            </Typography.Link>
+          </Tag>
+        )}
+        {STREAM_DEFS.filter((d) => d.readout && latest[d.key]).map((d) => (
+          <span key={d.key} className="small">
+            {d.readout(latest[d.key])}
+          </span>
+        ))}
+      </Space>
+
+      {calOpen && (
+        <CalibrationEditor
+          deviceKey={deviceKey}
+          profile={calProfile}
+          onSave={saveCalibration}
+          onCancel={() => setCalOpen(false)}
+        />
+      )}
+
+      {alarmsOpen && (
+        <AlarmEditor settings={alarmSettings} onSave={saveAlarms} onCancel={() => setAlarmsOpen(false)} />
+      )}
+
+      {derivedOpen && (
+        <DerivedEditor channels={derivedChannels} onSave={saveDerived} onCancel={() => setDerivedOpen(false)} />
+      )}
+
+      {settingsOpen && deviceConfig && (
+        <DeviceSettings
+          config={deviceConfig}
+          onApply={applySettings}
+          onReload={reloadSettings}
+          onCancel={() => setSettingsOpen(false)}
+        />
+      )}
+
+      {connEvents.length > 0 && !replayInfo && !simConfig && (
+        <Card
+          className="card"
+          size="small"
+          style={{ marginTop: 16 }}
+          title="Connection"
+          extra={
+            <Space size={6}>
+              <span className="small">Auto-reconnect</span>
+              <Switch size="small" checked={autoReconnect} onChange={toggleAutoReconnect} />
+            </Space>
+          }
+        >
+          <ConnectionTimeline events={connEvents} now={clock} reconnects={reconnects} />
+        </Card>
+      )}
+
+      {deviceInfo && Object.keys(deviceInfo).length > 0 && (
+        <Card className="card" size="small" style={{ marginTop: 16 }} title="Device information">
+          <Descriptions
+            size="small"
+            column={compact ? 1 : 3}
+            items={DEVICE_INFO_FIELDS.filter((f) => deviceInfo[f.key]).map((f) => ({
+              key: f.key,
+              label: f.label,
+              children: deviceInfo[f.key],
+            }))}
+          />
+        </Card>
+      )}
+
+      {connected && linkStats.length > 0 && (
+        <Card className="card" size="small" style={{ marginTop: 16 }} title="Link quality (device clock)">
+          <Table
+            size="small"
+            pagination={false}
+            rowKey="stream"
+            columns={linkColumns}
+            dataSource={linkStats}
+          />
+        </Card>
+      )}
+
+      {(connected || markers.length > 0) && (
+        <Card
+          className="card"
+          size="small"
+          style={{ marginTop: 16 }}
+          title={`Markers (${markers.length})`}
+          extra={
+            <Space size={4}>
+              <Upload
+                accept=".json,.csv"
+                showUploadList={false}
+                beforeUpload={(file) => {
+                  importMarkers(file);
+                  return false;
+                }}
+              >
+                <Button size="small">Import</Button>
+              </Upload>
+              <Dropdown
+                disabled={markers.length === 0}
+                menu={{
+                  items: [
+                    { key: "json", label: "Markers (.json)" },
+                    { key: "csv", label: "Markers (.csv)" },
+                  ],
+                  onClick: exportMarkers,
+                }}
+              >
+                <Button size="small">Export</Button>
+              </Dropdown>
+              <Button size="small" disabled={markers.length === 0} onClick={() => setMarkers([])}>
+                Clear
+              </Button>
+            </Space>
+          }
+        >
+          {markers.length === 0 ? (
+            <span className="small">
+              Press {MARKER_HOTKEY.toUpperCase()} (in the highlighted panel when there are several) or use Mark to
+              drop a marker on every chart.
+            </span>
+          ) : (
+            <Table
+              size="small"
+              pagination={false}
+              rowKey="id"
+              scroll={{ y: 160 }}
+              dataSource={markers}
+              columns={[
+                {
+                  title: "Time",
+                  dataIndex: "t",
+                  width: 110,
+                  render: (t) => (t ? new Date(t).toLocaleTimeString() : "—"),
+                },
+                {
+                  title: "Device (s)",
+                  dataIndex: "deviceTs",
+                  width: 100,
+                  render: (ts) => (ts / TIMESTAMP_TICKS_PER_SECOND).toFixed(2),
+                },
+                {
+                  title: "Label",
+                  dataIndex: "label",
+                  render: (label, m) => (
+                    <Typography.Text editable={{ onChange: (v) => renameMarker(m.id, v) }}>{label}</Typography.Text>
+                  ),
+                },
+                {
+                  key: "remove",
+                  width: 40,
+                  render: (_, m) => (
+                    <Button size="small" type="text" onClick={() => removeMarker(m.id)}>✕</Button>
+                  ),
+                },
+              ]}
+            />
+          )}
+        </Card>
+      )}
+
+      {alarmLog.length > 0 && (
+        <Card
+          className="card"
+          size="small"
+          style={{ marginTop: 16 }}
+          title={`Alarm log (${alarmLog.length})`}
+          extra={
+            <Space size={4}>
+              <Button size="small" onClick={exportAlarmLog}>Export</Button>
+              <Button size="small" onClick={() => setAlarmLog([])}>Clear</Button>
+            </Space>
+          }
+        >
+          <Table
+            size="small"
+            pagination={false}
+            rowKey="id"
+            scroll={{ y: 160 }}
+            dataSource={alarmLog}
+            columns={[
+              { title: "Time", dataIndex: "t", width: 110, render: (t) => new Date(t).toLocaleTimeString() },
+              {
+                title: "State",
+                dataIndex: "state",
+                width: 90,
+                render: (state, e) => (
+                  <Tag color={state === "cleared" ? "green" : e.rule.severity === "critical" ? "red" : "gold"}>
+                    {state}
+                  </Tag>
+                ),
+              },
+              { title: "Alarm", key: "rule", render: (_, e) => describeRule(e.rule) },
+              { title: "Value", dataIndex: "value", width: 90, render: (v) => (v == null ? "—" : +v.toFixed(2)) },
+            ]}
+          />
+        </Card>
+      )}
+
+      {replayInfo && (
+        <Card className="card" size="small" style={{ marginTop: 16 }} title={`Replay: ${replayInfo.name}`}>
+          <Flex align="center" gap={12}>
+            <Button type="primary" onClick={toggleReplay}>
+              {replayPlaying ? "Pause" : "Play"}
+            </Button>
+            <Slider
+              style={{ flex: 1 }}
+              min={0}
+              max={replayInfo.duration}
+              step={10}
+              value={replayPos}
+              onChange={seekReplay}
+              tooltip={{ formatter: fmtClock }}
+            />
+            <span className="small">
+              {fmtClock(replayPos)} / {fmtClock(replayInfo.duration)} · {replayInfo.packets} packets
+            </span>
+            <Segmented
+              options={REPLAY_SPEEDS.map((v) => ({ label: `${v}x`, value: v }))}
+              value={replaySpeed}
+              onChange={changeReplaySpeed}
+            />
+          </Flex>
+        </Card>
+      )}
+
+      {simConfig && (
+        <Card className="card" size="small" style={{ marginTop: 16 }} title="Simulator">
+          <Space wrap size="middle">
+            {[
+              { key: "heartRate", label: "Heart rate (bpm)", min: 30, max: 220, step: 1 },
+              { key: "spo2", label: "SpO2 (%)", min: 70, max: 100, step: 1 },
+              { key: "motion", label: "Motion (0–1)", min: 0, max: 1, step: 0.1 },
+              { key: "noise", label: "Noise (0–1)", min: 0, max: 1, step: 0.1 },
+              { key: "temperature", label: "Temp (°C)", min: 20, max: 45, step: 0.1 },
+              { key: "battery", label: "Battery (%)", min: 0, max: 100, step: 1 },
+              { key: "batteryDrain", label: "Drain (%/min)", min: 0, max: 60, step: 0.5 },
+            ].map(({ key, label, ...range }) => (
+              <Space key={key} size={4}>
+                <span className="small">{label}</span>
+                <InputNumber
+                  size="small"
+                  {...range}
+                  value={simConfig[key]}
+                  onChange={(v) => v != null && updateSimulator({ [key]: v })}
+                />
+              </Space>
+            ))}
+          </Space>
+        </Card>
+      )}
+
+      {showCharts && (
+        <div className={compact ? "charts compact" : "charts"} style={{ marginTop: 16, position: "relative" }}>
+          {perf && (
+            <div className="perf-overlay">
+              {perf.fps != null && `${perf.fps.toFixed(0)} fps · frame ${perf.frameMs.toFixed(1)} ms (max ${perf.frameMaxMs.toFixed(0)}) · `}
+              draw {perf.drawMs == null ? "—" : `${perf.drawMs.toFixed(1)} ms`} × {perf.redrawsPerSec.toFixed(0)}/s
+              {" · "}{Math.round(perf.samplesPerSec).toLocaleString()} samples/s · {perf.points.toLocaleString()} points
+            </div>
+          )}
+          {shownPanels.map((panel) => (
+            <LayoutPanel
+              key={panel.id}
+              panel={panel}
+              onMove={(from) => editLayout((ps) => movePanel(ps, from, panel.id))}
+              onChange={(patch) => editLayout((ps) => updatePanel(ps, panel.id, patch))}
+              onAction={(key) => panelAction(panel, key)}
+            >
+              {(controls) => renderPanel(panel, controls)}
+            </LayoutPanel>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+"use client";
+
+import { useState } from "react";
+import { Modal, Select, InputNumber, Button, Space, Typography, Divider, Checkbox, Tag } from "antd";
+import {
+  LED_NAMES,
+  LED_CURRENT_MAX_MA,
+  PPG_RATES_HZ,
+  IMU_ODRS_HZ,
+  commandsFor,
+} from "@/lib/control";
+import { ACCEL_RANGES_G, GYRO_RANGES_DPS } from "@/lib/calibration";
+import { STREAMS } from "@/lib/protocol";
+
+// Edits the device's sampling / sensor configuration over the control
+// channel. Mount it only while open so the draft starts from the last
+// acknowledged configuration. onApply(draft) resolves with per-command
+// results; onReload() re-reads the configuration from the device.
+export default function DeviceSettings({ config, onApply, onReload, onCancel }) {
+  const [draft, setDraft] = useState(config);
+  const [busy, setBusy] = useState(false);
+  const [results, setResults] = useState([]);
+
+  const pending = commandsFor(config, draft);
+  const set = (field, v) => v != null && setDraft((d) => ({ ...d, [field]: v }));
+
+  function setLed(i, mA) {
+    if (mA == null) return;
+    setDraft((d) => {
+      const ledCurrents = [...d.ledCurrents];
+      ledCurrents[i] = mA;
+      return { ...d, ledCurrents };
+    });
+  }
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      const out = await action();
+      if (out) setResults(out.results);
+      if (out?.config) setDraft(out.config);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const selectRow = (label, value, options, onChange, unit) => (
+    <Space size={8}>
+      <span className="small" style={{ width: 120, display: "inline-block" }}>{label}</span>
+      <Select
+        size="small"
+        style={{ width: 110 }}
+        value={value}
+        options={options.map((v) => ({ value: v, label: `${v} ${unit}` }))}
+        onChange={onChange}
+      />
+    </Space>
+  );
+
+  return (
+    <Modal
+      open
+      width={560}
+      title="Device settings"
+      onCancel={onCancel}
+      footer={[
+        <Button key="reload" disabled={busy} onClick={() => run(onReload)}>Read from device</Button>,
+        <Button key="revert" disabled={busy || pending.length === 0} onClick={() => setDraft(config)}>Revert</Button>,
+        <Button
+          key="apply"
+          type="primary"
+          loading={busy}
+          disabled={pending.length === 0}
+          onClick={() => run(() => onApply(draft))}
+        >
+          Apply{pending.length > 0 ? ` (${pending.length})` : ""}
+        </Button>,
+      ]}
+    >
+      <Typography.Text strong>PPG</Typography.Text>
+      <Space direction="vertical" size={4} style={{ display: "flex", margin: "8px 0" }}>
+        {LED_NAMES.map((name, i) => (
+          <Space key={name} size={8}>
+            <span className="small" style={{ width: 120, display: "inline-block" }}>{name} LED current</span>
+            <InputNumber
+              size="small"
+              min={0}
+              max={LED_CURRENT_MAX_MA}
+              step={0.1}
+              addonAfter="mA"
+              style={{ width: 130 }}
+              value={draft.ledCurrents[i]}
+              onChange={(v) => setLed(i, v)}
+            />
+          </Space>
+        ))}
+        {selectRow("Sample rate", draft.ppgRate, PPG_RATES_HZ, (v) => set("ppgRate", v), "Hz")}
+      </Space>
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Typography.Text strong>IMU</Typography.Text>
+      <Space direction="vertical" size={4} style={{ display: "flex", margin: "8px 0" }}>
+        {selectRow("Accel range ±", draft.accelRange, ACCEL_RANGES_G, (v) => set("accelRange", v), "g")}
+        {selectRow("Gyro range ±", draft.gyroRange, GYRO_RANGES_DPS, (v) => set("gyroRange", v), "°/s")}
+        {selectRow("Output data rate", draft.imuOdr, IMU_ODRS_HZ, (v) => set("imuOdr", v), "Hz")}
+      </Space>
+
+      <Divider style={{ margin: "12px 0" }} />
+      <Typography.Text strong>Streams enabled on the device</Typography.Text>
+      <div style={{ margin: "8px 0" }}>
+        <Checkbox.Group
+          options={STREAMS}
+          value={STREAMS.filter((s) => draft.streams[s])}
+          onChange={(on) => set("streams", Object.fromEntries(STREAMS.map((s) => [s, on.includes(s)])))}
+        />
+      </div>
+
+      {results.length > 0 && (
+        <>
+          <Divider style={{ margin: "12px 0" }} />
+          <Space direction="vertical" size={2}>
+            {results.map((r, i) => (
+              <span key={i} className="small">
+                <Tag color={r.ok ? "green" : "red"}>{r.ok ? "ACK" : "Error"}</Tag>
+                {r.label}{r.error ? ` — ${r.error}` : ""}
+              </span>
+            ))}
+          </Space>
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,122 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { Button, Dropdown } from "antd";
+import { GRID_COLUMNS, MIN_PANEL_HEIGHT, MAX_PANEL_HEIGHT } from "@/lib/workspaces";
+
+const DRAG_TYPE = "application/x-hrpc-panel";
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// One workspace panel in a .charts grid: drag its handle onto another panel
+// to move it there, drag the corner to resize (grid columns × plot height).
+// children({ handle, menu, height }) renders the card; handle goes in front
+// of its title and menu into its extra. onMove(fromId) drops a panel here,
+// onChange(patch) updates this one, onAction(key) runs a menu entry.
+export default function LayoutPanel({ panel, onMove, onChange, onAction, children }) {
+  const ref = useRef(null);
+  const [dropTarget, setDropTarget] = useState(false);
+  const [preview, setPreview] = useState(null); // { span, height } while resizing
+
+  const span = preview?.span ?? panel.span;
+  const height = preview?.height ?? panel.height;
+
+  function startResize(e) {
+    e.preventDefault();
+    const el = ref.current;
+    const grid = getComputedStyle(el.parentElement);
+    const columns = Math.min(GRID_COLUMNS, grid.gridTemplateColumns.split(" ").length);
+    const gap = parseFloat(grid.columnGap) || 0;
+    const columnWidth = (el.parentElement.clientWidth - gap * (columns - 1)) / columns;
+    const start = { x: e.clientX, y: e.clientY, width: el.offsetWidth, height: panel.height };
+    let next = { span: panel.span, height: panel.height };
+
+    const move = (ev) => {
+      next = {
+        // single-column layouts keep the stored span
+        span:
+          columns > 1
+            ? clamp(Math.round((start.width + ev.clientX - start.x + gap) / (columnWidth + gap)), 1, columns)
+            : panel.span,
+        height: clamp(Math.round((start.height + ev.clientY - start.y) / 10) * 10, MIN_PANEL_HEIGHT, MAX_PANEL_HEIGHT),
+      };
+      setPreview(next);
+    };
+    const up = () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+      setPreview(null);
+      if (next.span !== panel.span || next.height !== panel.height) onChange(next);
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+  }
+
+  const handle = (
+    <span
+      className="layout-handle"
+      title="Drag to move"
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData(DRAG_TYPE, panel.id);
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setDragImage(ref.current, 24, 24);
+      }}
+    >
+      ⠿
+    </span>
+  );
+
+  const menu = (
+    <Dropdown
+      trigger={["click"]}
+      menu={{
+        items: [
+          { key: "duplicate", label: "Duplicate" },
+          { key: "hide", label: "Hide" },
+          { key: "remove", label: "Remove", danger: true },
+          { type: "divider" },
+          ...Array.from({ length: GRID_COLUMNS }, (_, i) => ({
+            key: `span:${i + 1}`,
+            label: `${i + 1} column${i ? "s" : ""} wide`,
+            disabled: panel.span === i + 1,
+          })),
+        ],
+        onClick: ({ key }) => (key.startsWith("span:") ? onChange({ span: Number(key.slice(5)) }) : onAction(key)),
+      }}
+    >
+      <Button size="small" type="text" title="Panel options">
+        ⋯
+      </Button>
+    </Dropdown>
+  );
+
+  const accepts = (e) => e.dataTransfer.types.includes(DRAG_TYPE);
+
+  return (
+    <div
+      ref={ref}
+      className={dropTarget ? "layout-panel drop-target" : "layout-panel"}
+      style={{ "--span": span }}
+      onDragOver={(e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        setDropTarget(true);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(false);
+      }}
+      onDrop={(e) => {
+        setDropTarget(false);
+        const from = e.dataTransfer.getData(DRAG_TYPE);
+        if (!from) return;
+        e.preventDefault();
+        if (from !== panel.id) onMove(from);
+      }}
+    >
+      {children({ handle, menu, height })}
+      <div className="layout-resize" title="Drag to resize" onPointerDown={startResize} />
+    </div>
+  );
+}
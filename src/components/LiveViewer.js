@@ -0,0 +1,201 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Button, Card, Flex, Select, Space, Statistic, Tag, Typography } from "antd";
+import { Line } from "react-chartjs-2";
+import { commonOptions, lineDataset } from "@/lib/chart-config";
+import { markerLinesPlugin, ringDataPlugin } from "@/lib/chart-plugins";
+import { STREAM_DEFS, STREAM_BY_KEY, TREND_WINDOW_SEC, seriesOf, lastX } from "@/lib/streams";
+import { createLiveFeed, subscribeLive } from "@/lib/live-api";
+
+const REFRESH_MS = 100;
+const STALE_MS = 5000;
+
+const DEFAULT_SELECTION = Object.fromEntries(
+  STREAM_DEFS.flatMap((d) => d.charts.filter((c) => c.selectable).map((c) => [c.id, c.defaultSeries ?? c.series]))
+);
+
+const STATUS_TAGS = {
+  connecting: { color: "default", text: "Connecting" },
+  open: { color: "green", text: "Connected" },
+  reconnecting: { color: "orange", text: "Reconnecting" },
+  ended: { color: "red", text: "Publisher stopped" },
+};
+
+// Read-only mirror of a panel publishing to /api/live/<channel>: the same
+// stream charts, readouts, vitals trend and markers, fed over SSE.
+export default function LiveViewer({ channel }) {
+  // Mutated in place by relayed messages, never replaced
+  const [feed] = useState(createLiveFeed);
+  const charts = useRef({});
+
+  const [status, setStatus] = useState("connecting");
+  const [info, setInfo] = useState(null); // latest hello
+  const [latest, setLatest] = useState({}); // last row of streams with a readout
+  const [vitals, setVitals] = useState(null);
+  const [lastAt, setLastAt] = useState(null); // host time of the latest data
+  const [now, setNow] = useState(0);
+  const [selection, setSelection] = useState(DEFAULT_SELECTION);
+
+  useEffect(() => {
+    const onMessage = (msg) => {
+      feed.apply(msg);
+      switch (msg.type) {
+        case "hello":
+          setInfo(msg);
+          setStatus("open");
+          break;
+        case "samples":
+          if (msg.row) setLatest((l) => ({ ...l, [msg.stream]: msg.row }));
+          setLastAt(Date.now());
+          break;
+        case "vitals":
+          setVitals(msg);
+          break;
+        case "end":
+          setStatus("ended");
+          break;
+      }
+    };
+
+    // The relay replays its backlog on every (re)connect
+    const onStatus = (s) => {
+      if (s === "open") feed.clear();
+      setStatus((prev) => (s === "open" && prev === "ended" ? prev : s));
+    };
+
+    const close = subscribeLive(channel, onMessage, onStatus);
+    return () => {
+      close();
+      feed.clear();
+    };
+  }, [channel, feed]);
+
+  // Buffers are filled in place, so just redraw periodically
+  useEffect(() => {
+    const id = setInterval(() => {
+      for (const chart of Object.values(charts.current)) chart?.update("none");
+    }, REFRESH_MS);
+    const clock = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(id);
+      clearInterval(clock);
+    };
+  }, []);
+
+  const bind = (key) => (chart) => {
+    charts.current[key] = chart;
+  };
+  const select = (chartId, keys) => setSelection((sel) => ({ ...sel, [chartId]: keys }));
+
+  const follow = (window, series) => {
+    const range = () => {
+      const end = lastX(series);
+      return end == null ? null : { min: end - window, max: end };
+    };
+    return {
+      ...commonOptions,
+      scales: { ...commonOptions.scales, x: { ...commonOptions.scales.x, min: () => range()?.min, max: () => range()?.max } },
+      plugins: {
+        ...commonOptions.plugins,
+        markerLines: { getMarkers: () => feed.markers },
+        ringData: { getRange: range },
+      },
+    };
+  };
+
+  const chartData = (def, chart) => {
+    const series = seriesOf(def, chart.selectable ? selection[chart.id] ?? [] : chart.series);
+    const width = series.length > 1 ? 1.5 : 1.8;
+    return {
+      datasets: series.map((sr) =>
+        lineDataset(sr.label, feed.buffers[def.key][sr.key], sr.color, { background: sr.background, width })
+      ),
+    };
+  };
+
+  const vitalsData = {
+    datasets: [
+      { ...lineDataset("HR (bpm)", feed.hrTrend, "#dc2626", { width: 1.8 }), yAxisID: "hr" },
+      { ...lineDataset("SpO2 (%)", feed.spo2Trend, "#0ea5e9", { width: 1.8 }), yAxisID: "spo2" },
+    ],
+  };
+  const vitalsBase = follow(TREND_WINDOW_SEC, { hr: feed.hrTrend, spo2: feed.spo2Trend });
+  const vitalsOptions = {
+    ...vitalsBase,
+    scales: {
+      x: vitalsBase.scales.x,
+      hr: { position: "left", suggestedMin: 50, suggestedMax: 120, grid: { color: "rgba(0,0,0,0.06)" } },
+      spo2: { position: "right", min: 70, max: 100, grid: { display: false } },
+    },
+  };
+
+  const streams = STREAM_DEFS.filter((d) => info?.streams.includes(d.key));
+  const stale = status === "open" && lastAt != null && now - lastAt > STALE_MS;
+  const tag = STATUS_TAGS[status];
+
+  return (
+    <>
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Typography.Text strong>{info?.name ?? channel}</Typography.Text>
+        {info?.device && <Tag>{info.device}</Tag>}
+        <Tag color={tag.color}>{tag.text}</Tag>
+        {stale && <Tag color="gold">No data for {Math.round((now - lastAt) / 1000)} s</Tag>}
+        {!info && status !== "ended" && <span className="small">Waiting for the publisher…</span>}
+        {Object.entries(latest).map(([key, row]) => (
+          <span key={key} className="small">
+            {STREAM_BY_KEY[key]?.readout?.(row)}
+          </span>
+        ))}
+      </Space>
+
+      <div className="charts">
+        {streams.flatMap((def) =>
+          def.charts.map((chart) => (
+            <Card
+              key={chart.id}
+              className="card"
+              title={info.titles?.[chart.id] ?? chart.title}
+              extra={
+                chart.selectable && (
+                  <Space size="small">
+                    <Select
+                      size="small"
+                      style={{ minWidth: 100 }}
+                      mode="multiple"
+                      maxTagCount="responsive"
+                      options={seriesOf(def, chart.series).map((sr) => ({ label: sr.label, value: sr.key }))}
+                      value={selection[chart.id]}
+                      onChange={(keys) => select(chart.id, keys)}
+                    />
+                    <Button size="small" onClick={() => select(chart.id, chart.series)}>All</Button>
+                    <Button size="small" onClick={() => select(chart.id, [])}>None</Button>
+                  </Space>
+                )
+              }
+              bodyStyle={{ height: 340 }}
+            >
+              <Line
+                ref={bind(chart.id)}
+                data={chartData(def, chart)}
+                options={follow(def.window, feed.buffers[def.key])}
+                plugins={[ringDataPlugin, markerLinesPlugin]}
+              />
+            </Card>
+          ))
+        )}
+        {vitals && (
+          <Card className="card" title="Vitals (PPG)" bodyStyle={{ height: 340 }}>
+            <Flex justify="space-around" style={{ marginBottom: 8 }}>
+              <Statistic title="Heart rate" value={vitals.hr ?? "—"} precision={0} suffix="bpm" />
+              <Statistic title="SpO2" value={vitals.spo2 ?? "—"} precision={1} suffix="%" />
+            </Flex>
+            <div style={{ height: 250 }}>
+              <Line ref={bind("vitals")} data={vitalsData} options={vitalsOptions} plugins={[ringDataPlugin, markerLinesPlugin]} />
+            </div>
+          </Card>
+        )}
+      </div>
+    </>
+  );
+}
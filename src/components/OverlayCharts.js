@@ -0,0 +1,142 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Button, Card, Select, Space } from "antd";
+import { Line } from "react-chartjs-2";
+import { commonOptions, lineDataset } from "@/lib/chart-config";
+import { markerLinesPlugin, ringDataPlugin } from "@/lib/chart-plugins";
+import { STREAM_DEFS, TREND_WINDOW_SEC, seriesOf, lastX } from "@/lib/streams";
+
+const REFRESH_MS = 100;
+
+// Line styles tell series apart; colour identifies the device
+const DASHES = [[], [6, 3], [2, 2], [8, 2, 2, 2]];
+
+const CHARTS = STREAM_DEFS.flatMap((def) => def.charts.map((chart) => ({ def, chart })));
+const DEFAULT_SELECTION = Object.fromEntries(
+  CHARTS.filter(({ chart }) => chart.selectable).map(({ chart }) => [chart.id, chart.defaultSeries ?? chart.series])
+);
+
+// devices: [{ id, name, color }]; registry: { [id]: { buffers, hrTrend, getMarkers } } from DevicePanel
+export default function OverlayCharts({ devices, registry }) {
+  const [selection, setSelection] = useState(DEFAULT_SELECTION);
+  const [withData, setWithData] = useState([]); // optional streams some device has sent
+  const charts = useRef({});
+
+  // Buffers are mutated in place by the panels, so just redraw periodically
+  useEffect(() => {
+    const id = setInterval(() => {
+      for (const chart of Object.values(charts.current)) chart?.update("none");
+    }, REFRESH_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  // Optional streams (e.g. a strap's heart rate) get a chart once data arrives
+  useEffect(() => {
+    const id = setInterval(() => {
+      const keys = STREAM_DEFS.filter(
+        (def) =>
+          def.optional &&
+          devices.some((d) => Object.values(registry[d.id]?.buffers[def.key] ?? {}).some((buf) => buf.length > 0))
+      ).map((def) => def.key);
+      setWithData((prev) => (prev.join() === keys.join() ? prev : keys));
+    }, 1000);
+    return () => clearInterval(id);
+  }, [devices, registry]);
+
+  const live = devices.filter((d) => registry[d.id]);
+  const bind = (key) => (chart) => {
+    charts.current[key] = chart;
+  };
+  const select = (chartId, keys) => setSelection((sel) => ({ ...sel, [chartId]: keys }));
+
+  const chartData = (def, chart) => {
+    const series = seriesOf(def, chart.selectable ? selection[chart.id] ?? [] : chart.series);
+    return {
+      datasets: live.flatMap((d) =>
+        series.map((sr) =>
+          lineDataset(
+            series.length > 1 ? `${d.name} · ${sr.label}` : d.name,
+            registry[d.id].buffers[def.key][sr.key],
+            d.color,
+            { dash: DASHES[def.series.indexOf(sr) % DASHES.length] }
+          )
+        )
+      ),
+    };
+  };
+  // PPG-derived HR per device, plus strap HR (dashed) as the reference
+  const hrData = {
+    datasets: live.flatMap((d) => [
+      lineDataset(`${d.name} HR`, registry[d.id].hrTrend, d.color),
+      ...(withData.includes("HRM")
+        ? [lineDataset(`${d.name} strap`, registry[d.id].buffers.HRM.bpm, d.color, { dash: DASHES[1] })]
+        : []),
+    ]),
+  };
+
+  // Each device's markers in its own colour
+  const baseOptions = {
+    ...commonOptions,
+    plugins: {
+      ...commonOptions.plugins,
+      markerLines: {
+        getMarkers: () => live.flatMap((d) => registry[d.id].getMarkers().map((m) => ({ ...m, color: d.color }))),
+      },
+    },
+  };
+
+  // Follow the newest sample across devices, one stream window wide
+  const follow = (window, seriesOfDevice) => {
+    const range = () => {
+      const ends = live.map((d) => lastX(seriesOfDevice(d))).filter((x) => x != null);
+      if (ends.length === 0) return null;
+      const end = Math.max(...ends);
+      return { min: end - window, max: end };
+    };
+    const x = { ...commonOptions.scales.x, min: () => range()?.min, max: () => range()?.max };
+    return {
+      ...baseOptions,
+      scales: { ...commonOptions.scales, x },
+      plugins: { ...baseOptions.plugins, ringData: { getRange: range } },
+    };
+  };
+  const streamOptions = (def) => follow(def.window, (d) => registry[d.id].buffers[def.key]);
+  const hrOptions = follow(TREND_WINDOW_SEC, (d) => ({ hr: registry[d.id].hrTrend, ...registry[d.id].buffers.HRM }));
+
+  return (
+    <div className="charts" style={{ marginTop: 16 }}>
+      {CHARTS.filter(({ def }) => !def.optional || withData.includes(def.key)).map(({ def, chart }) => (
+        <Card
+          key={chart.id}
+          className="card"
+          title={typeof chart.unit === "string" ? `${chart.title} (${chart.unit})` : chart.title}
+          extra={
+            chart.selectable && (
+              <Space size="small">
+                <Select
+                  size="small"
+                  style={{ minWidth: 100 }}
+                  mode="multiple"
+                  maxTagCount="responsive"
+                  options={seriesOf(def, chart.series).map((sr) => ({ label: sr.label, value: sr.key }))}
+                  value={selection[chart.id]}
+                  onChange={(keys) => select(chart.id, keys)}
+                />
+                <Button size="small" onClick={() => select(chart.id, chart.series)}>All</Button>
+                <Button size="small" onClick={() => select(chart.id, [])}>None</Button>
+              </Space>
+            )
+          }
+          bodyStyle={{ height: 340 }}
+        >
+          <Line ref={bind(chart.id)} data={chartData(def, chart)} options={streamOptions(def)} plugins={[ringDataPlugin, markerLinesPlugin]} />
+        </Card>
+      ))}
+
+      <Card className="card" title="Heart rate (bpm)" bodyStyle={{ height: 340 }}>
+        <Line ref={bind("hr")} data={hrData} options={hrOptions} plugins={[ringDataPlugin, markerLinesPlugin]} />
+      </Card>
+    </div>
+  );
+}
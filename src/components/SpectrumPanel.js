@@ -0,0 +1,235 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Card, Flex, Select, Space, Tag } from "antd";
+import { Line } from "react-chartjs-2";
+import { commonOptions } from "@/lib/chart-config";
+import { markerLinesPlugin } from "@/lib/chart-plugins";
+import {
+  SPECTRUM_SOURCES,
+  SEGMENT_SIZES,
+  OVERLAPS,
+  estimateRate,
+  resample,
+  welch,
+  spectrogram,
+  dominantFrequency,
+  toDb,
+} from "@/lib/spectrum";
+
+const REFRESH_MS = 500;
+const SPECTROGRAM_SEC = 60;
+const DYNAMIC_RANGE_DB = 60; // spectrogram colours span this far below the peak
+const FREQ_LIMITS = [null, 25, 10, 5]; // null = Nyquist
+const PLOT = { left: 40, right: 8, top: 8, bottom: 18 };
+
+// Viridis, sampled at five stops
+const COLORMAP = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+];
+
+function colorAt(v) {
+  const t = Math.max(0, Math.min(1, v)) * (COLORMAP.length - 1);
+  const i = Math.min(COLORMAP.length - 2, Math.floor(t));
+  const f = t - i;
+  return COLORMAP[i].map((c, k) => c + (COLORMAP[i + 1][k] - c) * f);
+}
+
+// Newest column at the right edge; white dots trace the dominant frequency
+function drawSpectrogram(canvas, result) {
+  const width = (canvas.width = canvas.clientWidth);
+  const height = canvas.height;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, width, height);
+  if (!result || result.columns.length === 0) return;
+  const { freqs, columns, end, maxFreq, hopSec } = result;
+  const w = width - PLOT.left - PLOT.right;
+  const h = height - PLOT.top - PLOT.bottom;
+  if (w <= 0 || h <= 0) return;
+
+  let top = -Infinity;
+  for (const c of columns) for (let k = 1; k < c.psd.length; k++) top = Math.max(top, toDb(c.psd[k]));
+  const floor = top - DYNAMIC_RANGE_DB;
+  const df = freqs[1] - freqs[0];
+  const xOf = (t) => ((t - (end - SPECTROGRAM_SEC)) / SPECTROGRAM_SEC) * w;
+  const yOf = (f) => (1 - f / maxFreq) * h;
+
+  const img = ctx.createImageData(w, h);
+  for (const c of columns) {
+    const x0 = Math.max(0, Math.floor(xOf(c.t - hopSec)));
+    const x1 = Math.min(w, Math.ceil(xOf(c.t)));
+    for (let y = 0; y < h; y++) {
+      const k = Math.min(c.psd.length - 1, Math.round(((1 - y / h) * maxFreq) / df));
+      const [r, g, b] = colorAt((toDb(c.psd[k]) - floor) / DYNAMIC_RANGE_DB);
+      for (let x = x0; x < x1; x++) {
+        const o = (y * w + x) * 4;
+        img.data[o] = r;
+        img.data[o + 1] = g;
+        img.data[o + 2] = b;
+        img.data[o + 3] = 255;
+      }
+    }
+  }
+  ctx.putImageData(img, PLOT.left, PLOT.top);
+
+  ctx.fillStyle = "#fff";
+  for (const c of columns) {
+    if (!c.dominant || c.dominant.freq > maxFreq) continue;
+    ctx.fillRect(PLOT.left + xOf(c.t - hopSec / 2) - 1, PLOT.top + yOf(c.dominant.freq) - 1, 2, 2);
+  }
+
+  ctx.fillStyle = "#64748b";
+  ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (const f of [0, maxFreq / 2, maxFreq]) ctx.fillText(`${+f.toFixed(1)} Hz`, PLOT.left - 4, PLOT.top + yOf(f));
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText(`−${SPECTROGRAM_SEC} s`, PLOT.left, PLOT.top + h + 4);
+  ctx.textAlign = "right";
+  ctx.fillText("now", PLOT.left + w, PLOT.top + h + 4);
+}
+
+// PSD (Welch) and scrolling spectrogram of one PPG channel or IMU axis.
+// buffers: the panel's chart buffers; paused freezes the display. handle and
+// menu are the workspace panel controls, height the plot height in px.
+export default function SpectrumPanel({ buffers, paused = false, handle = null, menu = null, height = 260 }) {
+  const [source, setSource] = useState(SPECTRUM_SOURCES[0].value);
+  const [size, setSize] = useState(512);
+  const [overlap, setOverlap] = useState(0.5);
+  const [freqLimit, setFreqLimit] = useState(null);
+  const [result, setResult] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (paused) return;
+    const [stream, key] = source.split(".");
+    const ring = buffers[stream][key];
+    const refresh = () => {
+      const end = ring.lastX();
+      const points = end == null ? [] : ring.window(end - SPECTROGRAM_SEC, end);
+      const fs = estimateRate(points);
+      if (!fs) {
+        setResult(null);
+        return;
+      }
+      const first = Math.ceil(Math.max(points[0].x, end - SPECTROGRAM_SEC) * fs);
+      const signal = resample(points, fs, first, Math.floor(end * fs) - first + 1);
+      const hop = Math.max(1, Math.round(size * (1 - overlap)));
+      const minFreq = (2 * fs) / size; // clear of the window's DC leakage
+      const psd = welch(signal, fs, size, overlap);
+      setResult({
+        fs,
+        end,
+        hopSec: hop / fs,
+        maxFreq: Math.min(freqLimit ?? fs / 2, fs / 2),
+        psd,
+        dominant: psd && dominantFrequency(psd.freqs, psd.psd, minFreq),
+        ...spectrogram(signal, fs, first, size, hop, minFreq),
+      });
+    };
+    refresh();
+    const id = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(id);
+  }, [buffers, source, size, overlap, freqLimit, paused]);
+
+  useEffect(() => {
+    if (canvasRef.current) drawSpectrogram(canvasRef.current, result);
+  }, [result, height]);
+
+  const psd = result?.psd;
+  const dominant = result?.dominant;
+  const data = {
+    datasets: [
+      {
+        label: "PSD",
+        data: psd ? Array.from(psd.freqs, (f, k) => ({ x: f, y: toDb(psd.psd[k]) })).filter((p) => p.x > 0) : [],
+        borderColor: "#2563eb",
+        borderWidth: 1.5,
+        pointRadius: 0,
+      },
+    ],
+  };
+  const options = {
+    ...commonOptions,
+    plugins: {
+      ...commonOptions.plugins,
+      legend: { display: false },
+      markerLines: {
+        color: "#dc2626",
+        getMarkers: () =>
+          dominant ? [{ x: dominant.freq, label: `${dominant.freq.toFixed(2)} Hz · ${(dominant.freq * 60).toFixed(0)}/min` }] : [],
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        min: 0,
+        max: result?.maxFreq,
+        title: { display: true, text: "Hz" },
+        grid: { display: false },
+      },
+      y: { title: { display: true, text: "dB (units²/Hz)" }, grid: { color: "rgba(0,0,0,0.06)" } },
+    },
+  };
+
+  const seconds = result ? ` (${(size / result.fs).toFixed(1)} s)` : "";
+
+  return (
+    <Card
+      className="card"
+      title={<Space size={6}>{handle}Spectrum</Space>}
+      extra={
+        <Space size={6} wrap>
+          <Select size="small" style={{ width: 130 }} value={source} options={SPECTRUM_SOURCES} onChange={setSource} />
+          <Select
+            size="small"
+            style={{ width: 150 }}
+            value={size}
+            options={SEGMENT_SIZES.map((n) => ({ value: n, label: `Window ${n}${n === size ? seconds : ""}` }))}
+            onChange={setSize}
+          />
+          <Select
+            size="small"
+            style={{ width: 120 }}
+            value={overlap}
+            options={OVERLAPS.map((o) => ({ value: o, label: `Overlap ${o * 100}%` }))}
+            onChange={setOverlap}
+          />
+          <Select
+            size="small"
+            style={{ width: 110 }}
+            value={freqLimit ?? "nyquist"}
+            options={FREQ_LIMITS.map((f) => ({ value: f ?? "nyquist", label: f ? `0–${f} Hz` : "Full range" }))}
+            onChange={(v) => setFreqLimit(v === "nyquist" ? null : v)}
+          />
+          {menu}
+        </Space>
+      }
+    >
+      <Space size={6} style={{ marginBottom: 8 }}>
+        {!result && <span className="small">Waiting for data on this channel…</span>}
+        {result && <Tag>{result.fs} Hz</Tag>}
+        {psd && <Tag>{psd.segments} segments averaged</Tag>}
+        {dominant && (
+          <Tag color="red">
+            Dominant {dominant.freq.toFixed(2)} Hz ({(dominant.freq * 60).toFixed(0)} /min)
+          </Tag>
+        )}
+        {paused && <Tag color="blue">Paused</Tag>}
+      </Space>
+      <Flex gap={16} wrap>
+        <div style={{ flex: "1 1 420px", height }}>
+          <Line data={data} options={options} plugins={[markerLinesPlugin]} />
+        </div>
+        <div style={{ flex: "1 1 420px" }}>
+          <canvas ref={canvasRef} height={height} style={{ width: "100%", height, display: "block" }} />
+        </div>
+      </Flex>
+    </Card>
+  );
+}
@@ -0,0 +1,147 @@
+"use client";
+
+import { useState } from "react";
+import { Button, Dropdown, Input, Popover, Select, Space, Upload, notification } from "antd";
+import {
+  DEFAULT_WORKSPACE,
+  PANEL_KIND,
+  PANEL_KINDS,
+  createPanel,
+  defaultPanels,
+  parseWorkspaces,
+  updatePanel,
+  workspacesToJson,
+} from "@/lib/workspaces";
+import { downloadText } from "@/lib/recorder";
+
+// Picks, saves, imports and exports the named chart layouts shared by every
+// device panel. state: { active, workspaces } from @/lib/workspaces;
+// onChange(fn) applies fn(state) → next state.
+export default function WorkspaceBar({ state, onChange }) {
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [newName, setNewName] = useState("");
+
+  const { active, workspaces } = state;
+  const panels = workspaces[active];
+  const hidden = panels.filter((p) => p.hidden);
+
+  const editPanels = (fn) =>
+    onChange((ws) => ({ ...ws, workspaces: { ...ws.workspaces, [ws.active]: fn(ws.workspaces[ws.active]) } }));
+
+  function saveAs() {
+    const name = newName.trim();
+    if (!name) return;
+    onChange((ws) => ({ active: name, workspaces: { ...ws.workspaces, [name]: ws.workspaces[ws.active] } }));
+    setSaveOpen(false);
+    setNewName("");
+    notification.success({ message: `Saved workspace "${name}"` });
+  }
+
+  function deleteActive() {
+    onChange((ws) => {
+      const { [ws.active]: _, ...rest } = ws.workspaces;
+      return { active: DEFAULT_WORKSPACE, workspaces: rest };
+    });
+  }
+
+  async function importFile(file) {
+    try {
+      const imported = parseWorkspaces(await file.text());
+      const names = Object.keys(imported);
+      if (names.length === 0) throw new Error("The file holds no workspaces");
+      onChange((ws) => ({ active: names[0], workspaces: { ...ws.workspaces, ...imported } }));
+      notification.success({ message: `Imported ${names.length} workspace(s)` });
+    } catch (err) {
+      console.error(err);
+      notification.error({ message: `Could not import workspaces: ${err?.message || err}` });
+    }
+  }
+
+  function exportJson(names) {
+    const stem = names.length === 1 ? names[0].replace(/[^\w-]+/g, "_") : "workspaces";
+    downloadText(`hrpc_${stem}.json`, workspacesToJson(state, names), "application/json");
+  }
+
+  const addItems = [
+    ...PANEL_KINDS.map((k) => ({ key: `add:${k.kind}`, label: k.label })),
+    ...(hidden.length > 0
+      ? [
+          { type: "divider" },
+          ...hidden.map((p) => ({ key: `show:${p.id}`, label: `Show ${PANEL_KIND[p.kind].label}` })),
+        ]
+      : []),
+  ];
+
+  function onAdd({ key }) {
+    const [action, arg] = key.split(":");
+    if (action === "add") editPanels((ps) => [...ps, createPanel(arg)]);
+    else editPanels((ps) => updatePanel(ps, arg, { hidden: false }));
+  }
+
+  const moreItems = [
+    { key: "reset", label: "Reset to default layout" },
+    { key: "delete", label: `Delete "${active}"`, danger: true, disabled: active === DEFAULT_WORKSPACE },
+    { type: "divider" },
+    { key: "export", label: `Export "${active}" (.json)` },
+    { key: "export-all", label: "Export all workspaces (.json)" },
+  ];
+
+  function onMore({ key }) {
+    if (key === "reset") editPanels(() => defaultPanels());
+    else if (key === "delete") deleteActive();
+    else if (key === "export") exportJson([active]);
+    else if (key === "export-all") exportJson(Object.keys(workspaces));
+  }
+
+  return (
+    <Space wrap size={6}>
+      <span className="small">Workspace</span>
+      <Select
+        size="small"
+        style={{ width: 180 }}
+        value={active}
+        options={Object.keys(workspaces).map((n) => ({ value: n, label: n }))}
+        onChange={(name) => onChange((ws) => ({ ...ws, active: name }))}
+      />
+      <Popover
+        trigger="click"
+        open={saveOpen}
+        onOpenChange={setSaveOpen}
+        title="Save the current layout as"
+        content={
+          <Space.Compact>
+            <Input
+              size="small"
+              autoFocus
+              placeholder="Workspace name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onPressEnter={saveAs}
+            />
+            <Button size="small" type="primary" disabled={!newName.trim()} onClick={saveAs}>
+              Save
+            </Button>
+          </Space.Compact>
+        }
+      >
+        <Button size="small">Save As…</Button>
+      </Popover>
+      <Dropdown menu={{ items: addItems, onClick: onAdd }}>
+        <Button size="small">Add Panel{hidden.length > 0 ? ` (${hidden.length} hidden)` : ""}</Button>
+      </Dropdown>
+      <Upload
+        accept=".json"
+        showUploadList={false}
+        beforeUpload={(file) => {
+          importFile(file);
+          return false;
+        }}
+      >
+        <Button size="small">Import</Button>
+      </Upload>
+      <Dropdown menu={{ items: moreItems, onClick: onMore }}>
+        <Button size="small">More</Button>
+      </Dropdown>
+    </Space>
+  );
+}
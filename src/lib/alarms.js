@@ -0,0 +1,205 @@
+// ── Alarms ──────────────────────────────────────────────────────────────────
+// User-defined rules checked against the latest value of any channel (a
+// stream series or a PPG vital) or against a stream going quiet. Rules are
+// shared by every panel and persisted in localStorage.
+
+import { STREAM_DEFS } from "./streams";
+import { csvCell } from "./recorder";
+import { createLocalStore } from "./local-store";
+
+const STORAGE_KEY = "hrpc.alarms.v1";
+
+export const ALARM_CONDITIONS = [
+  { value: "above", label: "above" },
+  { value: "below", label: "below" },
+  { value: "outside", label: "outside" },
+  { value: "stale", label: "no data for" },
+];
+
+export const ALARM_SEVERITIES = ["warning", "critical"];
+
+function channelLabel(def, sr) {
+  const chart = def.charts.find((c) => c.series.includes(sr.key)) ?? def.charts[0];
+  const unit = typeof chart.unit === "string" ? ` (${chart.unit})` : "";
+  return chart.series.length > 1 ? `${chart.title} ${sr.label}` : `${chart.title}${unit}`;
+}
+
+// { value: "<stream>.<series>" | "vitals.<hr|spo2>", label, stream }; labels
+// shared by two streams (BAT / BAS battery) name the stream too
+const streamChannels = STREAM_DEFS.flatMap((def) =>
+  def.series.map((sr) => ({ value: `${def.key}.${sr.key}`, label: channelLabel(def, sr), stream: def.key }))
+);
+export const ALARM_CHANNELS = [
+  ...streamChannels.map((c) =>
+    streamChannels.filter((o) => o.label === c.label).length > 1 ? { ...c, label: `${c.label} · ${c.stream}` } : c
+  ),
+  { value: "vitals.hr", label: "Heart rate (PPG, bpm)", stream: "AFE" },
+  { value: "vitals.spo2", label: "SpO2 (PPG, %)", stream: "AFE" },
+];
+
+const CHANNEL_BY_VALUE = Object.fromEntries(ALARM_CHANNELS.map((c) => [c.value, c]));
+
+export function channelStream(channel) {
+  return CHANNEL_BY_VALUE[channel]?.stream ?? null;
+}
+
+let nextId = 1;
+
+export function createRule(patch = {}) {
+  return {
+    id: `${Date.now().toString(36)}-${nextId++}`,
+    enabled: true,
+    channel: "TMP.celsius",
+    condition: "above",
+    limit: 38,
+    low: 0,
+    high: 100,
+    seconds: 5,
+    severity: "warning",
+    ...patch,
+  };
+}
+
+export const DEFAULT_RULES = [
+  createRule({ id: "default-temp-high", channel: "TMP.celsius", condition: "above", limit: 38 }),
+  createRule({ id: "default-battery-low", channel: "BAT.percent", condition: "below", limit: 15, severity: "critical" }),
+  createRule({ id: "default-hr-band", channel: "vitals.hr", condition: "outside", low: 40, high: 180 }),
+  createRule({ id: "default-ppg-stale", channel: "AFE.Green", condition: "stale", seconds: 5, severity: "critical" }),
+];
+
+const num = (v, fallback) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+export function normalizeRule(r = {}) {
+  const d = createRule();
+  return {
+    id: r.id != null ? String(r.id) : d.id,
+    enabled: r.enabled !== false,
+    channel: CHANNEL_BY_VALUE[r.channel] ? r.channel : d.channel,
+    condition: ALARM_CONDITIONS.some((c) => c.value === r.condition) ? r.condition : d.condition,
+    limit: num(r.limit, d.limit),
+    low: num(r.low, d.low),
+    high: num(r.high, d.high),
+    seconds: Math.max(1, num(r.seconds, d.seconds)),
+    severity: ALARM_SEVERITIES.includes(r.severity) ? r.severity : d.severity,
+  };
+}
+
+export function describeRule(rule) {
+  const channel = CHANNEL_BY_VALUE[rule.channel];
+  switch (rule.condition) {
+    case "above":
+      return `${channel?.label ?? rule.channel} above ${rule.limit}`;
+    case "below":
+      return `${channel?.label ?? rule.channel} below ${rule.limit}`;
+    case "outside":
+      return `${channel?.label ?? rule.channel} outside ${rule.low}–${rule.high}`;
+    case "stale":
+      return `No ${channel?.stream ?? rule.channel} data for ${rule.seconds} s`;
+    default:
+      return rule.channel;
+  }
+}
+
+// reading: { value, age } for the rule's channel, or null while its stream
+// is off (rules on streams that are off never fire)
+export function ruleTriggered(rule, reading) {
+  if (!reading) return false;
+  if (rule.condition === "stale") return reading.age == null || reading.age > rule.seconds;
+  const v = reading.value;
+  if (v == null || !Number.isFinite(v)) return false;
+  if (rule.condition === "above") return v > rule.limit;
+  if (rule.condition === "below") return v < rule.limit;
+  return v < rule.low || v > rule.high;
+}
+
+// Tracks which rules are raised. evaluate() returns the transitions since the
+// previous call: { raised: [{ rule, value }], cleared: [{ rule }] }.
+export function createAlarmMonitor() {
+  let active = new Map(); // rule id → { rule, value, since }
+
+  return {
+    evaluate(rules, read, now = Date.now()) {
+      const next = new Map();
+      const raised = [];
+      for (const rule of rules) {
+        if (!rule.enabled) continue;
+        const reading = read(rule);
+        if (!ruleTriggered(rule, reading)) continue;
+        const prev = active.get(rule.id);
+        next.set(rule.id, { rule, value: reading.value, since: prev?.since ?? now });
+        if (!prev) raised.push({ rule, value: reading.value });
+      }
+      const cleared = [...active.values()].filter((a) => !next.has(a.rule.id)).map(({ rule }) => ({ rule }));
+      active = next;
+      return { raised, cleared };
+    },
+    get active() {
+      return [...active.values()];
+    },
+    reset() {
+      active = new Map();
+    },
+  };
+}
+
+// ── Log export ──────────────────────────────────────────────────────────────
+// entries: [{ t, state: "raised" | "cleared", rule, value }]
+export function alarmLogToCsv(entries) {
+  const lines = ["time,state,severity,alarm,value"];
+  for (const e of entries) {
+    lines.push(
+      [new Date(e.t).toISOString(), e.state, e.rule.severity, describeRule(e.rule), e.value ?? ""]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ── Sound ───────────────────────────────────────────────────────────────────
+let audioCtx = null;
+
+// Short two-tone beep; critical alarms sound higher
+export function playAlarmTone(severity = "warning") {
+  if (typeof window === "undefined") return;
+  const Ctx = window.AudioContext ?? window.webkitAudioContext;
+  if (!Ctx) return;
+  audioCtx ??= new Ctx();
+  const base = severity === "critical" ? 880 : 660;
+  const t0 = audioCtx.currentTime;
+  [0, 0.18].forEach((offset, i) => {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.frequency.value = base * (i === 0 ? 1 : 1.25);
+    gain.gain.setValueAtTime(0.0001, t0 + offset);
+    gain.gain.exponentialRampToValueAtTime(0.2, t0 + offset + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t0 + offset + 0.15);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(t0 + offset);
+    osc.stop(t0 + offset + 0.16);
+  });
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+// { rules, sound }
+export const DEFAULT_ALARM_SETTINGS = { rules: DEFAULT_RULES, sound: false };
+
+export function loadAlarmSettings() {
+  if (typeof localStorage === "undefined") return DEFAULT_ALARM_SETTINGS;
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+    if (!parsed || !Array.isArray(parsed.rules)) return DEFAULT_ALARM_SETTINGS;
+    return { rules: parsed.rules.map(normalizeRule), sound: parsed.sound === true };
+  } catch {
+    return DEFAULT_ALARM_SETTINGS;
+  }
+}
+
+export function saveAlarmSettings({ rules, sound }) {
+  const settings = { rules: rules.map(normalizeRule), sound: sound === true };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+// Saved settings for useSyncExternalStore: a save in one panel reaches all
+export const alarmStore = createLocalStore(STORAGE_KEY, loadAlarmSettings, saveAlarmSettings);
@@ -0,0 +1,156 @@
+// ── Battery health ──────────────────────────────────────────────────────────
+// Session-long battery samples (BAT, or the standard Battery Service when the
+// board has no BAT stream), the discharge rate over a trailing window, time
+// to empty, and the power cost of each stream estimated from how the
+// discharge rate changes as streams are switched on and off.
+
+import { createSeriesBuffer } from "./ring-buffer";
+
+export const RATE_WINDOW_SEC = 600; // trailing window for the current rate
+const MIN_FIT_SEC = 60; // shortest span a rate is fitted over
+
+// Least-squares line through [{ x, y }]; null for fewer than two points
+export function linearFit(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const { x, y } of points) {
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    sxy += x * y;
+  }
+  const den = n * sxx - sx * sx;
+  if (den === 0) return null;
+  const slope = (n * sxy - sx * sy) / den;
+  return { slope, intercept: (sy - slope * sx) / n };
+}
+
+// Discharge rates over samples [{ x (s), mV, percent }], positive while
+// draining: { percentPerHour, mVPerHour, span } or null when too short
+export function dischargeRate(samples) {
+  if (samples.length < 2) return null;
+  const span = samples[samples.length - 1].x - samples[0].x;
+  if (span < MIN_FIT_SEC) return null;
+  const fit = (key) => {
+    const pts = samples.filter((s) => s[key] != null).map((s) => ({ x: s.x, y: s[key] }));
+    const f = linearFit(pts);
+    return f ? -f.slope * 3600 : null;
+  };
+  return { percentPerHour: fit("percent"), mVPerHour: fit("mV"), span };
+}
+
+// Hours until 0 % at the given rate; null while flat or charging
+export function timeToEmpty(percent, percentPerHour) {
+  if (percent == null || !(percentPerHour > 0)) return null;
+  return percent / percentPerHour;
+}
+
+// Contiguous runs with the same enabled streams, each with its own rate
+export function configurationSegments(samples) {
+  const segments = [];
+  let run = [];
+  const close = () => {
+    if (run.length === 0) return;
+    segments.push({
+      streams: run[0].streams,
+      start: run[0].x,
+      duration: run[run.length - 1].x - run[0].x,
+      rate: dischargeRate(run),
+    });
+  };
+  for (const s of samples) {
+    if (run.length > 0 && s.streams.join() !== run[0].streams.join()) {
+      close();
+      run = [];
+    }
+    run.push(s);
+  }
+  close();
+  return segments;
+}
+
+// Solves A·β = b by Gaussian elimination; null when singular
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-9) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// Fits rate = base + Σ cost(stream) over segments with a rate, weighted by
+// duration. Only streams that were both on and off at some point can be
+// separated from the base draw. → { base, costs: { [stream]: rate } } | null
+export function streamCosts(segments, metric = "percentPerHour") {
+  const rated = segments.filter((s) => s.rate?.[metric] != null);
+  const all = [...new Set(rated.flatMap((s) => s.streams))];
+  const varying = all.filter((k) => rated.some((s) => s.streams.includes(k)) && rated.some((s) => !s.streams.includes(k)));
+  if (varying.length === 0 || rated.length < varying.length + 1) return null;
+  const rows = rated.map((s) => [1, ...varying.map((k) => (s.streams.includes(k) ? 1 : 0))]);
+  const n = varying.length + 1;
+  const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+  const Atb = new Array(n).fill(0);
+  rated.forEach((s, i) => {
+    const w = s.duration;
+    for (let a = 0; a < n; a++) {
+      Atb[a] += w * rows[i][a] * s.rate[metric];
+      for (let b = 0; b < n; b++) AtA[a][b] += w * rows[i][a] * rows[i][b];
+    }
+  });
+  const beta = solve(AtA, Atb);
+  if (!beta) return null;
+  return { base: beta[0], costs: Object.fromEntries(varying.map((k, i) => [k, beta[i + 1]])) };
+}
+
+// Session log fed by the panel; chart series are unbounded ring buffers
+export function createBatteryLog() {
+  let samples = [];
+  const volts = createSeriesBuffer(Infinity);
+  const percent = createSeriesBuffer(Infinity);
+
+  return {
+    volts,
+    percent,
+    // streams: keys enabled while the sample was taken (sorted)
+    add(x, { mV = null, percent: pct = null }, streams) {
+      samples.push({ x, mV, percent: pct, streams });
+      if (mV != null) volts.push(x, mV / 1000);
+      if (pct != null) percent.push(x, pct);
+    },
+    clear() {
+      samples = [];
+      volts.clear();
+      percent.clear();
+    },
+    get length() {
+      return samples.length;
+    },
+    summary() {
+      if (samples.length === 0) return null;
+      const last = samples[samples.length - 1];
+      const recent = samples.filter((s) => last.x - s.x <= RATE_WINDOW_SEC);
+      const rate = dischargeRate(recent);
+      const segments = configurationSegments(samples);
+      return {
+        mV: last.mV,
+        percent: last.percent,
+        streams: last.streams,
+        elapsed: last.x - samples[0].x,
+        rate,
+        hoursLeft: timeToEmpty(last.percent, rate?.percentPerHour),
+        segments,
+        costs: streamCosts(segments),
+      };
+    },
+  };
+}
@@ -0,0 +1,121 @@
+// ── Sensor calibration ──────────────────────────────────────────────────────
+// Per-device profiles that turn raw counts into physical units, persisted in
+// localStorage and exchangeable as JSON.
+
+const STORAGE_KEY = "hrpc.calibration.v1";
+export const DEFAULT_PROFILE_KEY = "default";
+
+export const ACCEL_RANGES_G = [2, 4, 8, 16];
+export const GYRO_RANGES_DPS = [125, 250, 500, 1000, 2000];
+const INT16_FULL_SCALE = 32768;
+
+// physical = (raw × range / 32768 − offset) × scale, per axis
+// HFS = c0 + c1·raw + c2·raw² in the named unit
+export const DEFAULT_PROFILE = {
+  accel: { range: 4, offset: [0, 0, 0], scale: [1, 1, 1] },
+  gyro: { range: 500, offset: [0, 0, 0], scale: [1, 1, 1] },
+  hfs: { unit: "counts", coeffs: [0, 1, 0] },
+};
+
+function axes(v, fallback) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite) ? [...v] : [...fallback];
+}
+
+// Fills missing fields from the default and rejects wrong types
+export function normalizeProfile(p = {}) {
+  const d = DEFAULT_PROFILE;
+  const accelRange = Number(p.accel?.range);
+  const gyroRange = Number(p.gyro?.range);
+  const coeffs = Array.isArray(p.hfs?.coeffs) ? p.hfs.coeffs.map(Number) : d.hfs.coeffs;
+  return {
+    accel: {
+      range: accelRange > 0 ? accelRange : d.accel.range,
+      offset: axes(p.accel?.offset, d.accel.offset),
+      scale: axes(p.accel?.scale, d.accel.scale),
+    },
+    gyro: {
+      range: gyroRange > 0 ? gyroRange : d.gyro.range,
+      offset: axes(p.gyro?.offset, d.gyro.offset),
+      scale: axes(p.gyro?.scale, d.gyro.scale),
+    },
+    hfs: {
+      unit: typeof p.hfs?.unit === "string" && p.hfs.unit.trim() ? p.hfs.unit.trim() : d.hfs.unit,
+      coeffs: coeffs.length === 3 && coeffs.every(Number.isFinite) ? coeffs : [...d.hfs.coeffs],
+    },
+  };
+}
+
+export function createConverter(profile) {
+  const p = normalizeProfile(profile);
+  const aLsb = p.accel.range / INT16_FULL_SCALE;
+  const gLsb = p.gyro.range / INT16_FULL_SCALE;
+  const [c0, c1, c2] = p.hfs.coeffs;
+  const conv = (raw, lsb, k, cal) => (raw * lsb - cal.offset[k]) * cal.scale[k];
+  return {
+    profile: p,
+    accelLsbPerG: 1 / aLsb,
+    gyroLsbPerDps: 1 / gLsb,
+    hfsUnit: p.hfs.unit,
+    // s: raw IMU sample → { ax, ay, az } in g and { gx, gy, gz } in deg/s
+    imu: (s) => ({
+      ax: conv(s.ax, aLsb, 0, p.accel),
+      ay: conv(s.ay, aLsb, 1, p.accel),
+      az: conv(s.az, aLsb, 2, p.accel),
+      gx: conv(s.gx, gLsb, 0, p.gyro),
+      gy: conv(s.gy, gLsb, 1, p.gyro),
+      gz: conv(s.gz, gLsb, 2, p.gyro),
+    }),
+    hfs: (raw) => c0 + c1 * raw + c2 * raw * raw,
+    volts: (mV) => mV / 1000,
+  };
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+export function loadProfiles() {
+  if (typeof localStorage === "undefined") return {};
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function storeProfiles(all) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+export function profileFor(deviceKey) {
+  const all = loadProfiles();
+  return normalizeProfile(all[deviceKey] ?? all[DEFAULT_PROFILE_KEY]);
+}
+
+export function saveProfile(deviceKey, profile) {
+  const all = loadProfiles();
+  all[deviceKey] = normalizeProfile(profile);
+  storeProfiles(all);
+  return all[deviceKey];
+}
+
+export function deleteProfile(deviceKey) {
+  const all = loadProfiles();
+  delete all[deviceKey];
+  storeProfiles(all);
+}
+
+export function exportProfiles() {
+  return JSON.stringify({ type: "hrpc-calibration", version: 1, profiles: loadProfiles() }, null, 2);
+}
+
+// Merges imported profiles over the stored ones; returns the imported keys
+export function importProfiles(text) {
+  const data = JSON.parse(text);
+  const incoming = data?.profiles;
+  if (!incoming || typeof incoming !== "object") {
+    throw new Error("Not a calibration export (missing \"profiles\")");
+  }
+  const all = loadProfiles();
+  for (const [key, p] of Object.entries(incoming)) all[key] = normalizeProfile(p);
+  storeProfiles(all);
+  return Object.keys(incoming);
+}
@@ -0,0 +1,210 @@
+// ── Offline capture decoding ────────────────────────────────────────────────
+// The panel's ingest path without a browser: packets are parsed and converted
+// through the stream registry, timed with the link monitor, and returned as
+// the recorder's sample rows (see SAMPLE_COLUMNS) plus a summary report.
+// Used by the command-line converter in scripts/hrpc-decode.mjs.
+
+import { STREAM_BY_KEY } from "./streams";
+import { createLinkMonitor, sampleTimes } from "./link-quality";
+import { STREAMS, TIMESTAMP_TICKS_PER_SECOND, encodePacket, streamSpec } from "./protocol";
+import { SAMPLE_COLUMNS, fromHex } from "./recorder";
+
+// ── Per-stream dumps ────────────────────────────────────────────────────────
+// Sniffers and loggers often write one stream per file with no host time:
+// hex text with one packet per line, or the packets back to back in binary.
+// Packets get t: null.
+
+// Blank lines and "#" comments are skipped
+export function splitHexPackets(text, stream) {
+  const packets = [];
+  for (const line of text.split(/\r?\n/)) {
+    const hex = line.trim();
+    if (!hex || hex.startsWith("#")) continue;
+    packets.push({ t: null, stream, bytes: fromHex(hex) });
+  }
+  return packets;
+}
+
+// Bytes of a full packet of a custom stream; null when it varies (IMU)
+export function defaultPacketSize(stream, format) {
+  if (!STREAMS.includes(stream)) return null;
+  const spec = streamSpec(stream, format);
+  if (spec.records && !spec.records.max) return null;
+  const data = spec.records ? Array.from({ length: spec.records.max }, () => ({})) : {};
+  return encodePacket(stream, 0, data, format).byteLength;
+}
+
+// packetSize: fixed packet length; lengthPrefixed: each packet follows its
+// little-endian u16 length instead. A trailing partial packet is an error.
+export function splitBinaryPackets(bytes, stream, { packetSize, lengthPrefixed = false, format } = {}) {
+  const packets = [];
+  if (lengthPrefixed) {
+    let o = 0;
+    while (o < bytes.length) {
+      if (o + 2 > bytes.length) throw new Error(`${stream}: truncated length prefix at byte ${o}`);
+      const n = bytes[o] | (bytes[o + 1] << 8);
+      if (o + 2 + n > bytes.length) throw new Error(`${stream}: truncated packet at byte ${o}`);
+      packets.push({ t: null, stream, bytes: bytes.slice(o + 2, o + 2 + n) });
+      o += 2 + n;
+    }
+    return packets;
+  }
+  const size = packetSize ?? defaultPacketSize(stream, format);
+  if (!size) throw new Error(`${stream}: packets vary in size, give the packet size or use length prefixes`);
+  if (bytes.length % size !== 0) {
+    throw new Error(`${stream}: ${bytes.length} bytes is not a whole number of ${size}-byte packets`);
+  }
+  for (let o = 0; o < bytes.length; o += size) packets.push({ t: null, stream, bytes: bytes.slice(o, o + size) });
+  return packets;
+}
+
+// ── Decoding ────────────────────────────────────────────────────────────────
+function createChannelStats() {
+  return { min: null, max: null, mean: null, count: 0, sum: 0 };
+}
+
+// packets: [{ t (host ms | null), stream, bytes }] as from parseCapture or
+// the split functions above, in arrival order per stream.
+// → { samples: { [stream]: rows }, summary }. Device times count seconds from
+// the first packet, as in the panel; host-clock streams (strap heart rate,
+// standard battery) count from their own first packet.
+export function decodeCapture(packets, { format, converter }) {
+  const link = createLinkMonitor();
+  const samples = {};
+  const channels = {};
+  const spans = {};
+  const skipped = {}; // unknown streams, short packets, host-clock packets without host time
+  const hostless = new Set(); // streams with packets lacking host time: no drift
+  const origins = { device: null, host: null };
+  let firstHost = null;
+  let lastHost = null;
+
+  const skip = (stream, reason) => {
+    const s = (skipped[stream] ??= { unknown: 0, short: 0, untimed: 0 });
+    s[reason]++;
+  };
+
+  for (const p of packets) {
+    if (p.t != null) {
+      firstHost = Math.min(firstHost ?? p.t, p.t);
+      lastHost = Math.max(lastHost ?? p.t, p.t);
+    }
+    const def = STREAM_BY_KEY[p.stream];
+    if (!def) {
+      skip(p.stream, "unknown");
+      continue;
+    }
+    const pkt = def.parse(new DataView(p.bytes.buffer, p.bytes.byteOffset, p.bytes.byteLength), format);
+    if (!pkt) {
+      skip(def.key, "short");
+      continue;
+    }
+    if (def.hostClock && p.t == null) {
+      skip(def.key, "untimed");
+      continue;
+    }
+    if (p.t == null) hostless.add(def.key);
+    const timestamp = def.hostClock ? p.t : pkt.timestamp;
+    const decoded = def.decode(pkt, converter);
+    const q = link.onPacket(def.key, timestamp, Math.max(1, decoded.length), p.t ?? timestamp);
+    const clock = def.hostClock ? "host" : "device";
+    if (q.reset) origins[clock] = null;
+    origins[clock] ??= timestamp;
+
+    const times = sampleTimes(timestamp, decoded.length, q.period).map(
+      (t) => (t - origins[clock]) / TIMESTAMP_TICKS_PER_SECOND
+    );
+    const rows = (samples[def.key] ??= []);
+    const stats = (channels[def.key] ??= {});
+    decoded.forEach(({ row, values }, i) => {
+      rows.push({ t: p.t, deviceTime: times[i], ...row });
+      for (const [key, y] of Object.entries(values)) {
+        if (y == null || !Number.isFinite(y)) continue;
+        const c = (stats[key] ??= createChannelStats());
+        c.min = c.count ? Math.min(c.min, y) : y;
+        c.max = c.count ? Math.max(c.max, y) : y;
+        c.sum += y;
+        c.count++;
+      }
+    });
+    if (times.length > 0) {
+      const span = (spans[def.key] ??= { first: times[0], last: times[0] });
+      span.first = Math.min(span.first, times[0]);
+      span.last = Math.max(span.last, times[times.length - 1]);
+    }
+  }
+
+  const streams = link.snapshot().map((s) => {
+    const span = spans[s.stream];
+    return {
+      stream: s.stream,
+      packets: s.packets,
+      samples: samples[s.stream]?.length ?? 0,
+      start: span?.first ?? null,
+      duration: span ? span.last - span.first : 0,
+      sampleRate: s.sampleRate,
+      packetRate: s.packetRate,
+      interval: s.interval,
+      jitter: s.jitter,
+      gaps: s.gaps,
+      lost: s.lost,
+      lossPct: s.lossPct,
+      resets: s.resets,
+      driftPpm: hostless.has(s.stream) ? null : s.driftPpm,
+      channels: Object.fromEntries(
+        Object.entries(channels[s.stream] ?? {}).map(([key, { sum, ...c }]) => [key, { ...c, mean: sum / c.count }])
+      ),
+    };
+  });
+
+  return {
+    samples,
+    summary: {
+      format,
+      packets: packets.length,
+      hostStart: firstHost,
+      hostDuration: firstHost != null ? (lastHost - firstHost) / 1000 : null,
+      duration: Math.max(0, ...streams.map((s) => s.duration)),
+      streams,
+      skipped,
+    },
+  };
+}
+
+// ── Output ──────────────────────────────────────────────────────────────────
+// JSON lines with every column on every row (null when empty), so columnar
+// tools (Parquet writers, DuckDB, pandas) see one fixed schema per stream
+export function samplesToNdjson(stream, rows) {
+  const cols = ["t", ...(SAMPLE_COLUMNS[stream] ?? Object.keys(rows[0] ?? {}).filter((k) => k !== "t"))];
+  return rows.map((r) => JSON.stringify(Object.fromEntries(cols.map((k) => [k, r[k] ?? null])))).join("\n") + "\n";
+}
+
+const fmt = (v, digits = 1) => (v == null || !Number.isFinite(v) ? "—" : v.toFixed(digits));
+const fmtValue = (v) => (v == null ? "—" : String(+v.toPrecision(6)));
+
+export function summaryToText(summary) {
+  const lines = [
+    `Packets: ${summary.packets} · format v${summary.format} · duration ${fmt(summary.duration, 2)} s` +
+      (summary.hostDuration != null ? ` (host ${fmt(summary.hostDuration, 2)} s)` : ""),
+  ];
+  for (const s of summary.streams) {
+    lines.push(
+      "",
+      `${s.stream}: ${s.packets} packets, ${s.samples} samples over ${fmt(s.duration, 2)} s · ` +
+        `${fmt(s.sampleRate)} samples/s · interval ${fmt(s.interval)} ± ${fmt(s.jitter)} ms · ` +
+        `${s.gaps} gaps, ~${s.lost} lost (${fmt(s.lossPct, 2)}%)` +
+        (s.resets ? ` · ${s.resets} clock resets` : "") +
+        (s.driftPpm != null ? ` · drift ${fmt(s.driftPpm, 0)} ppm` : "")
+    );
+    for (const [key, c] of Object.entries(s.channels)) {
+      lines.push(`  ${key.padEnd(10)} min ${fmtValue(c.min)}  max ${fmtValue(c.max)}  mean ${fmtValue(c.mean)}  (${c.count})`);
+    }
+  }
+  for (const [stream, s] of Object.entries(summary.skipped)) {
+    const reasons = Object.entries(s)
+      .filter(([, n]) => n > 0)
+      .map(([reason, n]) => `${n} ${reason}`);
+    lines.push("", `Skipped ${stream} packets: ${reasons.join(", ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,63 @@
+// ── Chart.js setup ──────────────────────────────────────────────────────────
+// Registration and the base line-chart options shared by every chart view.
+
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+} from "chart.js";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+// Device seconds → "m:ss.s"
+export function formatDeviceTime(sec) {
+  const v = Number(sec);
+  if (!Number.isFinite(v)) return "";
+  const sign = v < 0 ? "-" : "";
+  const tenths = Math.round(Math.abs(v) * 10);
+  const m = Math.floor(tenths / 600);
+  const s = (tenths - m * 600) / 10;
+  return `${sign}${m}:${s.toFixed(1).padStart(4, "0")}`;
+}
+
+// x is device time in seconds (see DevicePanel's timeline)
+export const commonOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  // Points arrive sorted as { x, y } (see ringDataPlugin), so skip parsing
+  parsing: false,
+  normalized: true,
+  interaction: { intersect: false, mode: "nearest" },
+  plugins: { legend: { display: true } },
+  scales: {
+    x: {
+      type: "linear",
+      ticks: { maxRotation: 0, autoSkipPadding: 12, callback: formatDeviceTime },
+      grid: { display: false },
+    },
+    y: { grid: { color: "rgba(0,0,0,0.06)" } },
+  },
+};
+
+// ring: a series buffer from @/lib/ring-buffer; ringDataPlugin fills data
+// with its visible points before each update
+export function lineDataset(label, ring, color, { background, dash = [], width = 1.5 } = {}) {
+  return {
+    label,
+    data: [],
+    ring,
+    borderColor: color,
+    backgroundColor: background,
+    borderDash: dash,
+    borderWidth: width,
+    pointRadius: 0,
+    tension: 0.12,
+    fill: background != null,
+  };
+}
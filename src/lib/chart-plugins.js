@@ -0,0 +1,151 @@
+// ── Chart.js plugins ────────────────────────────────────────────────────────
+// Passed per chart through react-chartjs-2's `plugins` prop. Each reads its
+// data lazily from a getter in the chart options so refs stay out of render.
+
+// options.plugins.shadeRegions: { getRegions: () => [{ start, end }], color }
+export const shadeRegionsPlugin = {
+  id: "shadeRegions",
+  beforeDatasetsDraw(chart, _args, opts) {
+    const regions = opts?.getRegions?.();
+    if (!regions || regions.length === 0) return;
+    const { ctx, chartArea, scales } = chart;
+    const x = scales.x;
+    if (!x) return;
+    ctx.save();
+    ctx.fillStyle = opts.color ?? "rgba(239,68,68,0.12)";
+    for (const { start, end } of regions) {
+      if (end < x.min || start > x.max) continue;
+      const left = Math.max(chartArea.left, x.getPixelForValue(start));
+      const right = Math.min(chartArea.right, x.getPixelForValue(end));
+      if (right > left) ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    }
+    ctx.restore();
+  },
+};
+
+// options.plugins.markerLines: { getMarkers: () => [{ x, label, color? }], color }
+export const markerLinesPlugin = {
+  id: "markerLines",
+  afterDatasetsDraw(chart, _args, opts) {
+    const markers = opts?.getMarkers?.();
+    if (!markers || markers.length === 0) return;
+    const { ctx, chartArea, scales } = chart;
+    const x = scales.x;
+    if (!x) return;
+    const color = opts.color ?? "#7c3aed";
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+    ctx.textBaseline = "top";
+    for (const m of markers) {
+      if (m.x < x.min || m.x > x.max) continue;
+      const px = Math.round(x.getPixelForValue(m.x)) + 0.5;
+      ctx.strokeStyle = m.color ?? color;
+      ctx.fillStyle = m.color ?? color;
+      ctx.beginPath();
+      ctx.moveTo(px, chartArea.top);
+      ctx.lineTo(px, chartArea.bottom);
+      ctx.stroke();
+      if (m.label) ctx.fillText(m.label, Math.min(px + 3, chartArea.right - ctx.measureText(m.label).width), chartArea.top + 2);
+    }
+    ctx.restore();
+  },
+};
+
+// options.plugins.zoomPan: { onRange({ min, max }), onReset() }
+// Wheel zooms the x axis about the cursor, Shift+wheel or drag pans,
+// double-click resets. The plugin only reports ranges; the owner decides
+// what to show through the scale's min/max.
+const ZOOM_STEP = 1.25;
+const MIN_SPAN_SEC = 0.05;
+const DRAG_THRESHOLD_PX = 3;
+
+export const zoomPanPlugin = {
+  id: "zoomPan",
+  afterInit(chart) {
+    const canvas = chart.canvas;
+    const state = { opts: null, drag: null };
+    const inArea = (e) => {
+      const a = chart.chartArea;
+      return a && e.offsetX >= a.left && e.offsetX <= a.right && e.offsetY >= a.top && e.offsetY <= a.bottom;
+    };
+    const emit = (min, max) => {
+      if (max - min >= MIN_SPAN_SEC) state.opts?.onRange?.({ min, max });
+    };
+
+    const onWheel = (e) => {
+      const x = chart.scales.x;
+      if (!x || !state.opts?.onRange || !inArea(e)) return;
+      e.preventDefault();
+      const span = x.max - x.min;
+      if (e.shiftKey) {
+        const d = span * 0.1 * Math.sign(e.deltaY || e.deltaX);
+        emit(x.min + d, x.max + d);
+        return;
+      }
+      const at = x.getValueForPixel(e.offsetX);
+      const f = e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
+      emit(at - (at - x.min) * f, at + (x.max - at) * f);
+    };
+    const onMove = (e) => {
+      const d = state.drag;
+      if (!d) return;
+      const dx = e.clientX - d.px;
+      if (!d.moved && Math.abs(dx) < DRAG_THRESHOLD_PX) return;
+      d.moved = true;
+      const shift = (dx * (d.max - d.min)) / chart.scales.x.width;
+      emit(d.min - shift, d.max - shift);
+    };
+    const onUp = () => {
+      state.drag = null;
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    const onDown = (e) => {
+      const x = chart.scales.x;
+      if (e.button !== 0 || !x || !state.opts?.onRange || !inArea(e)) return;
+      state.drag = { px: e.clientX, min: x.min, max: x.max, moved: false };
+      window.addEventListener("mousemove", onMove);
+      window.addEventListener("mouseup", onUp);
+    };
+    const onDblClick = (e) => {
+      if (inArea(e)) state.opts?.onReset?.();
+    };
+
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    canvas.addEventListener("mousedown", onDown);
+    canvas.addEventListener("dblclick", onDblClick);
+    chart.$zoomPan = {
+      state,
+      detach() {
+        onUp();
+        canvas.removeEventListener("wheel", onWheel);
+        canvas.removeEventListener("mousedown", onDown);
+        canvas.removeEventListener("dblclick", onDblClick);
+      },
+    };
+  },
+  // Handlers change every render; keep the latest
+  beforeUpdate(chart, _args, opts) {
+    if (chart.$zoomPan) chart.$zoomPan.state.opts = opts;
+  },
+  beforeDestroy(chart) {
+    chart.$zoomPan?.detach();
+    delete chart.$zoomPan;
+  },
+};
+
+// options.plugins.ringData: { getRange: () => ({ min, max }) | null }
+// Datasets carrying a `ring` (see lineDataset) get just the points inside the
+// x range, decimated to about two per pixel, before every update.
+export const ringDataPlugin = {
+  id: "ringData",
+  beforeUpdate(chart, _args, opts) {
+    const range = opts?.getRange?.();
+    const maxPoints = Math.max(200, Math.round(chart.width * 2));
+    for (const ds of chart.data.datasets) {
+      if (ds.ring) ds.data = ds.ring.window(range?.min, range?.max, maxPoints);
+    }
+  },
+};
@@ -0,0 +1,283 @@
+// ── Device control channel ──────────────────────────────────────────────────
+// Commands are written to the control characteristic and acknowledged by a
+// notification on the same characteristic:
+//
+//   request   [opcode, seq, ...payload]
+//   response  [ACK, seq, opcode, status, ...payload]
+//
+// Multi-byte fields are little-endian. The client serialises requests (one
+// GATT write in flight at a time) and matches responses by sequence number.
+
+import { STREAMS } from "./protocol";
+import { ACCEL_RANGES_G, GYRO_RANGES_DPS } from "./calibration";
+
+export const CONTROL_SERVICE_UUID = "12345678-1234-5678-1234-56789abc5000";
+export const CONTROL_CHAR_UUID = "12345678-1234-5678-1234-56789abc5001";
+
+export const OPCODES = {
+  GET_CONFIG: 0x01,
+  SET_LED_CURRENT: 0x10, // [led u8, current u16 in 0.1 mA]
+  SET_PPG_RATE: 0x11, // [Hz u16]
+  SET_IMU_RANGE: 0x20, // [accel g u8, gyro dps u16]
+  SET_IMU_ODR: 0x21, // [Hz u16]
+  SET_STREAMS: 0x30, // [mask u8], bit i = STREAMS[i]
+};
+
+export const ACK = 0x80;
+
+export const STATUS = {
+  OK: 0,
+  UNKNOWN_COMMAND: 1,
+  INVALID_ARGUMENT: 2,
+  BUSY: 3,
+  FAILED: 4,
+};
+
+const STATUS_TEXT = {
+  [STATUS.UNKNOWN_COMMAND]: "unknown command",
+  [STATUS.INVALID_ARGUMENT]: "invalid argument",
+  [STATUS.BUSY]: "device busy",
+  [STATUS.FAILED]: "command failed",
+};
+
+export const LED_NAMES = ["Green", "Red", "IR"]; // Ambient has no LED
+export const LED_CURRENT_MAX_MA = 100;
+export const PPG_RATES_HZ = [25, 50, 100, 200, 400];
+export const IMU_ODRS_HZ = [25, 50, 100, 200, 400, 800];
+
+export const DEFAULT_DEVICE_CONFIG = {
+  ledCurrents: [12, 8, 10], // mA
+  ppgRate: 100,
+  accelRange: 4,
+  gyroRange: 500,
+  imuOdr: 100,
+  streams: Object.fromEntries(STREAMS.map((s) => [s, true])),
+};
+
+const REQUEST_TIMEOUT_MS = 2000;
+const CONFIG_BYTES = 14;
+
+// ── Framing ─────────────────────────────────────────────────────────────────
+function u16(v) {
+  const n = Math.max(0, Math.min(0xffff, Math.round(v)));
+  return [n & 0xff, n >> 8];
+}
+
+export function encodeCommand(opcode, seq, payload = []) {
+  return Uint8Array.from([opcode, seq & 0xff, ...payload]);
+}
+
+export function encodeResponse(seq, opcode, status, payload = []) {
+  return Uint8Array.from([ACK, seq & 0xff, opcode, status, ...payload]);
+}
+
+export function parseResponse(dv) {
+  if (dv.byteLength < 4 || dv.getUint8(0) !== ACK) return null;
+  return {
+    seq: dv.getUint8(1),
+    opcode: dv.getUint8(2),
+    status: dv.getUint8(3),
+    payload: new DataView(dv.buffer, dv.byteOffset + 4, dv.byteLength - 4),
+  };
+}
+
+function streamMask(streams) {
+  return STREAMS.reduce((mask, s, i) => (streams[s] ? mask | (1 << i) : mask), 0);
+}
+
+export function encodeConfig(cfg) {
+  return [
+    ...cfg.ledCurrents.flatMap((mA) => u16(mA * 10)),
+    ...u16(cfg.ppgRate),
+    cfg.accelRange,
+    ...u16(cfg.gyroRange),
+    ...u16(cfg.imuOdr),
+    streamMask(cfg.streams),
+  ];
+}
+
+export function parseConfig(dv) {
+  if (dv.byteLength < CONFIG_BYTES) return null;
+  const mask = dv.getUint8(13);
+  return {
+    ledCurrents: LED_NAMES.map((_, i) => dv.getUint16(i * 2, true) / 10),
+    ppgRate: dv.getUint16(6, true),
+    accelRange: dv.getUint8(8),
+    gyroRange: dv.getUint16(9, true),
+    imuOdr: dv.getUint16(11, true),
+    streams: Object.fromEntries(STREAMS.map((s, i) => [s, (mask & (1 << i)) !== 0])),
+  };
+}
+
+// ── Commands ────────────────────────────────────────────────────────────────
+// The writes needed to go from prev to next, each { label, opcode, payload }
+export function commandsFor(prev, next) {
+  const cmds = [];
+  next.ledCurrents.forEach((mA, i) => {
+    if (mA !== prev?.ledCurrents[i]) {
+      cmds.push({
+        label: `${LED_NAMES[i]} LED ${mA} mA`,
+        opcode: OPCODES.SET_LED_CURRENT,
+        payload: [i, ...u16(mA * 10)],
+      });
+    }
+  });
+  if (next.ppgRate !== prev?.ppgRate) {
+    cmds.push({ label: `PPG rate ${next.ppgRate} Hz`, opcode: OPCODES.SET_PPG_RATE, payload: u16(next.ppgRate) });
+  }
+  if (next.accelRange !== prev?.accelRange || next.gyroRange !== prev?.gyroRange) {
+    cmds.push({
+      label: `IMU range ±${next.accelRange} g / ±${next.gyroRange} dps`,
+      opcode: OPCODES.SET_IMU_RANGE,
+      payload: [next.accelRange, ...u16(next.gyroRange)],
+    });
+  }
+  if (next.imuOdr !== prev?.imuOdr) {
+    cmds.push({ label: `IMU ODR ${next.imuOdr} Hz`, opcode: OPCODES.SET_IMU_ODR, payload: u16(next.imuOdr) });
+  }
+  const mask = streamMask(next.streams);
+  if (!prev || mask !== streamMask(prev.streams)) {
+    const on = STREAMS.filter((s) => next.streams[s]);
+    cmds.push({ label: `Streams: ${on.join(", ") || "none"}`, opcode: OPCODES.SET_STREAMS, payload: [mask] });
+  }
+  return cmds;
+}
+
+// ── Client ──────────────────────────────────────────────────────────────────
+// characteristic: the control characteristic (real or virtual)
+export function createControlClient(characteristic, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  let seq = 0;
+  let queue = Promise.resolve();
+  const pending = new Map(); // seq → { resolve, reject, timer }
+
+  function onResponse(e) {
+    const res = parseResponse(e.target.value);
+    if (!res) return;
+    const p = pending.get(res.seq);
+    if (!p) return;
+    pending.delete(res.seq);
+    clearTimeout(p.timer);
+    if (res.status === STATUS.OK) p.resolve(res.payload);
+    else {
+      const err = new Error(STATUS_TEXT[res.status] ?? `status ${res.status}`);
+      err.status = res.status;
+      p.reject(err);
+    }
+  }
+
+  async function send(opcode, payload) {
+    seq = (seq + 1) & 0xff;
+    const id = seq;
+    const acked = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error("no acknowledgement from device"));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+    });
+    try {
+      const bytes = encodeCommand(opcode, id, payload);
+      if (characteristic.writeValueWithResponse) await characteristic.writeValueWithResponse(bytes);
+      else await characteristic.writeValue(bytes);
+    } catch (err) {
+      const p = pending.get(id);
+      pending.delete(id);
+      clearTimeout(p?.timer);
+      throw err;
+    }
+    return acked;
+  }
+
+  // Resolves with the response payload; rejects on error status or timeout
+  function request(opcode, payload = []) {
+    const result = queue.then(() => send(opcode, payload));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    async start() {
+      characteristic.addEventListener("characteristicvaluechanged", onResponse);
+      await characteristic.startNotifications();
+    },
+    stop() {
+      characteristic.removeEventListener("characteristicvaluechanged", onResponse);
+      for (const p of pending.values()) {
+        clearTimeout(p.timer);
+        p.reject(new Error("control channel closed"));
+      }
+      pending.clear();
+    },
+    request,
+    async getConfig() {
+      const cfg = parseConfig(await request(OPCODES.GET_CONFIG));
+      if (!cfg) throw new Error("malformed configuration from device");
+      return cfg;
+    },
+    // Sends every command; resolves with [{ label, ok, error }] per command
+    async apply(prev, next) {
+      const results = [];
+      for (const cmd of commandsFor(prev, next)) {
+        try {
+          await request(cmd.opcode, cmd.payload);
+          results.push({ label: cmd.label, ok: true });
+        } catch (err) {
+          results.push({ label: cmd.label, ok: false, error: String(err?.message || err) });
+        }
+      }
+      return results;
+    },
+  };
+}
+
+// ── Device side ─────────────────────────────────────────────────────────────
+// Validates and applies one request frame against config (used by the
+// simulator); returns { config, response } with the response frame to notify.
+export function handleCommand(config, bytes) {
+  const dv = bytes instanceof DataView ? bytes : new DataView(Uint8Array.from(bytes).buffer);
+  if (dv.byteLength < 2) return { config, response: null };
+  const opcode = dv.getUint8(0);
+  const seq = dv.getUint8(1);
+  const arg8 = (o) => (dv.byteLength > o ? dv.getUint8(o) : null);
+  const arg16 = (o) => (dv.byteLength > o + 1 ? dv.getUint16(o, true) : null);
+  const reply = (status, next = config, payload = []) => ({
+    config: next,
+    response: encodeResponse(seq, opcode, status, payload),
+  });
+  const invalid = () => reply(STATUS.INVALID_ARGUMENT);
+
+  switch (opcode) {
+    case OPCODES.GET_CONFIG:
+      return reply(STATUS.OK, config, encodeConfig(config));
+    case OPCODES.SET_LED_CURRENT: {
+      const led = arg8(2), tenths = arg16(3);
+      if (led == null || led >= LED_NAMES.length || tenths == null || tenths > LED_CURRENT_MAX_MA * 10) return invalid();
+      const ledCurrents = [...config.ledCurrents];
+      ledCurrents[led] = tenths / 10;
+      return reply(STATUS.OK, { ...config, ledCurrents });
+    }
+    case OPCODES.SET_PPG_RATE: {
+      const hz = arg16(2);
+      if (!PPG_RATES_HZ.includes(hz)) return invalid();
+      return reply(STATUS.OK, { ...config, ppgRate: hz });
+    }
+    case OPCODES.SET_IMU_RANGE: {
+      const g = arg8(2), dps = arg16(3);
+      if (!ACCEL_RANGES_G.includes(g) || !GYRO_RANGES_DPS.includes(dps)) return invalid();
+      return reply(STATUS.OK, { ...config, accelRange: g, gyroRange: dps });
+    }
+    case OPCODES.SET_IMU_ODR: {
+      const hz = arg16(2);
+      if (!IMU_ODRS_HZ.includes(hz)) return invalid();
+      return reply(STATUS.OK, { ...config, imuOdr: hz });
+    }
+    case OPCODES.SET_STREAMS: {
+      const mask = arg8(2);
+      if (mask == null) return invalid();
+      const streams = Object.fromEntries(STREAMS.map((s, i) => [s, (mask & (1 << i)) !== 0]));
+      return reply(STATUS.OK, { ...config, streams });
+    }
+    default:
+      return reply(STATUS.UNKNOWN_COMMAND);
+  }
+}
@@ -0,0 +1,38 @@
+// ── Off-thread decoding ─────────────────────────────────────────────────────
+// Runs the stream registry's parse + decode for raw notification payloads so
+// the main thread only buffers and draws. Messages in:
+//   { type: "profile", profile }            calibration for conversions
+//   { type: "format", format }              packet format version
+//   { type: "decode", key, bytes, host }    one packet (ArrayBuffer) and its
+//                                           host arrival time
+// Messages out, in arrival order:
+//   { key, timestamp, host, samples }       samples as returned by decode;
+//                                           host-clock streams are timed by host
+
+import { STREAM_BY_KEY } from "./streams";
+import { createConverter, DEFAULT_PROFILE } from "./calibration";
+import { DEFAULT_PACKET_FORMAT } from "./protocol";
+
+let converter = createConverter(DEFAULT_PROFILE);
+let format = DEFAULT_PACKET_FORMAT;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "profile") {
+    converter = createConverter(msg.profile);
+    return;
+  }
+  if (msg.type === "format") {
+    format = msg.format;
+    return;
+  }
+  const def = STREAM_BY_KEY[msg.key];
+  const pkt = def?.parse(new DataView(msg.bytes), format);
+  if (!pkt) return;
+  self.postMessage({
+    key: msg.key,
+    timestamp: def.hostClock ? msg.host : pkt.timestamp,
+    host: msg.host,
+    samples: def.decode(pkt, converter),
+  });
+};
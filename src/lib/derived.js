@@ -0,0 +1,411 @@
+// ── Derived channels ────────────────────────────────────────────────────────
+// User-defined traces computed from the live series, e.g.
+//   AFE.Red / AFE.IR        sqrt(IMU.ax^2 + IMU.ay^2 + IMU.az^2)
+//   AFE.Green - AFE.Ambient ma(HFS.converted, 50)
+// Inputs are "<stream>.<series>" like the alarm channels. An expression is
+// evaluated on every new sample of its trigger, the first input it names;
+// the other inputs hold their latest value. Stateful functions (moving
+// average, derivative, filters) keep their state per call site. Channels are
+// shared by every panel (derivedStore) and persisted in localStorage.
+
+import { STREAM_DEFS, RETAIN_SEC } from "./streams";
+import { createSeriesBuffer } from "./ring-buffer";
+import { createBiquad } from "./dsp";
+import { createLocalStore } from "./local-store";
+
+const STORAGE_KEY = "hrpc.derived.v1";
+
+export const DERIVED_COLORS = ["#e11d48", "#7c3aed", "#0891b2", "#65a30d", "#ea580c", "#4f46e5"];
+
+export const DERIVED_INPUTS = STREAM_DEFS.flatMap((def) => def.series.map((sr) => `${def.key}.${sr.key}`));
+const INPUT_STREAM = Object.fromEntries(
+  STREAM_DEFS.flatMap((def) => def.series.map((sr) => [`${def.key}.${sr.key}`, def]))
+);
+
+const RATE_SAMPLES = 8; // intervals measured before a filter starts
+
+// ── Functions ───────────────────────────────────────────────────────────────
+// Stateless: plain math on the argument values
+const MATH = {
+  abs: { args: [1, 1], fn: Math.abs },
+  sqrt: { args: [1, 1], fn: Math.sqrt },
+  exp: { args: [1, 1], fn: Math.exp },
+  log: { args: [1, 1], fn: Math.log },
+  log10: { args: [1, 1], fn: Math.log10 },
+  pow: { args: [2, 2], fn: Math.pow },
+  min: { args: [2, Infinity], fn: Math.min },
+  max: { args: [2, Infinity], fn: Math.max },
+};
+
+// Sample rate from the median of the first call intervals; null until known
+function createRateMeter() {
+  const dts = [];
+  let last = null;
+  let fs = null;
+  return (t) => {
+    if (fs == null && last != null && t > last) dts.push(t - last);
+    last = t;
+    if (fs == null && dts.length >= RATE_SAMPLES) fs = 1 / dts.sort((a, b) => a - b)[dts.length >> 1];
+    return fs;
+  };
+}
+
+function createFilter(type, params) {
+  const rate = createRateMeter();
+  let filter = null;
+  return (x, t) => {
+    const fs = rate(t);
+    if (fs == null) return null;
+    filter ??=
+      type === "bandpass"
+        ? (() => {
+            const hp = createBiquad("highpass", fs, params[0]);
+            const lp = createBiquad("lowpass", fs, params[1]);
+            return { process: (v) => lp.process(hp.process(v)) };
+          })()
+        : createBiquad(type, fs, params[0]);
+    return filter.process(x);
+  };
+}
+
+// Stateful: the first argument is the signal, the rest are number literals.
+// make(params) → step(x, t) per call site; step returns null while warming up
+const STATEFUL = {
+  // Mean of the last n samples
+  ma: {
+    params: ["samples"],
+    make([n]) {
+      const size = Math.max(1, Math.round(n));
+      const ring = new Float64Array(size);
+      let count = 0;
+      let sum = 0;
+      return (x) => {
+        const i = count % size;
+        if (count >= size) sum -= ring[i];
+        ring[i] = x;
+        sum += x;
+        count++;
+        return sum / Math.min(count, size);
+      };
+    },
+  },
+  // Change per second
+  deriv: {
+    params: [],
+    make() {
+      let last = null;
+      return (x, t) => {
+        const prev = last;
+        last = { x, t };
+        return prev && t > prev.t ? (x - prev.x) / (t - prev.t) : null;
+      };
+    },
+  },
+  lowpass: { params: ["cutoff Hz"], make: (p) => createFilter("lowpass", p) },
+  highpass: { params: ["cutoff Hz"], make: (p) => createFilter("highpass", p) },
+  bandpass: { params: ["low Hz", "high Hz"], make: (p) => createFilter("bandpass", p) },
+};
+
+export const DERIVED_FUNCTIONS = [
+  ...Object.entries(STATEFUL).map(([name, f]) => `${name}(x${f.params.map((p) => `, ${p}`).join("")})`),
+  ...Object.keys(MATH).map((name) => `${name}(…)`),
+];
+
+// ── Parser ──────────────────────────────────────────────────────────────────
+// expr    = term (("+" | "-") term)*
+// term    = unary (("*" | "/" | "%") unary)*
+// unary   = "-" unary | power
+// power   = primary ("^" unary)?
+// primary = number | input | name "(" args ")" | "(" expr ")" | "pi"
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*(?:\.\w+)?)|(\S))/gy;
+  let m;
+  while (re.lastIndex < text.length && (m = re.exec(text))) {
+    if (m[0].trim() === "") break;
+    const pos = m.index + m[0].length - m[0].trimStart().length;
+    if (m[1] != null) tokens.push({ type: "num", value: Number(m[1]), pos });
+    else if (m[2] != null) tokens.push({ type: "name", value: m[2], pos });
+    else tokens.push({ type: "op", value: m[3], pos });
+  }
+  tokens.push({ type: "end", value: "end of expression", pos: text.length });
+  return tokens;
+}
+
+// → { ast, inputs } with inputs in order of appearance; throws on errors
+export function parseExpression(text) {
+  const tokens = tokenize(String(text ?? ""));
+  let i = 0;
+  const inputs = [];
+  const peek = () => tokens[i];
+  const fail = (tok, msg) => {
+    throw new Error(`${msg ?? `Unexpected "${tok.value}"`} at ${tok.pos + 1}`);
+  };
+  const expect = (value) => {
+    if (peek().value !== value) fail(peek(), `Expected "${value}"`);
+    i++;
+  };
+
+  function expr() {
+    let node = term();
+    while (peek().value === "+" || peek().value === "-") {
+      const op = tokens[i++].value;
+      node = { type: "binary", op, left: node, right: term() };
+    }
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (["*", "/", "%"].includes(peek().value)) {
+      const op = tokens[i++].value;
+      node = { type: "binary", op, left: node, right: unary() };
+    }
+    return node;
+  }
+  function unary() {
+    if (peek().value === "-") {
+      i++;
+      return { type: "negate", arg: unary() };
+    }
+    return power();
+  }
+  function power() {
+    const base = primary();
+    if (peek().value !== "^") return base;
+    i++;
+    return { type: "binary", op: "^", left: base, right: unary() };
+  }
+  function primary() {
+    const tok = tokens[i++];
+    if (tok.type === "num") return { type: "num", value: tok.value };
+    if (tok.value === "(") {
+      const node = expr();
+      expect(")");
+      return node;
+    }
+    if (tok.type !== "name") fail(tok);
+    if (tok.value.includes(".")) {
+      if (!INPUT_STREAM[tok.value]) fail(tok, `Unknown input "${tok.value}"`);
+      if (!inputs.includes(tok.value)) inputs.push(tok.value);
+      return { type: "input", name: tok.value };
+    }
+    if (tok.value === "pi") return { type: "num", value: Math.PI };
+    if (!MATH[tok.value] && !STATEFUL[tok.value]) fail(tok, `Unknown name "${tok.value}"`);
+    expect("(");
+    const args = [];
+    if (peek().value !== ")") {
+      args.push(expr());
+      while (peek().value === ",") {
+        i++;
+        args.push(expr());
+      }
+    }
+    expect(")");
+    if (STATEFUL[tok.value]) {
+      const { params } = STATEFUL[tok.value];
+      if (args.length !== params.length + 1) {
+        fail(tok, `${tok.value}() takes ${params.length + 1} argument(s)`);
+      }
+      const constants = args.slice(1).map((a) => a.type === "num" && a.value > 0 ? a.value : null);
+      if (constants.includes(null)) fail(tok, `${tok.value}(): ${params.join(", ")} must be a positive number`);
+      return { type: "stateful", name: tok.value, arg: args[0], params: constants };
+    }
+    const [lo, hi] = MATH[tok.value].args;
+    if (args.length < lo || args.length > hi) fail(tok, `Wrong number of arguments for ${tok.value}()`);
+    return { type: "call", name: tok.value, args };
+  }
+
+  if (peek().type === "end") fail(peek(), "Empty expression");
+  const ast = expr();
+  if (peek().type !== "end") fail(peek());
+  if (inputs.length === 0) throw new Error("The expression uses no input series");
+  return { ast, inputs };
+}
+
+// AST → (values, t) → number | null. Any null input makes the result null;
+// stateful steps skip nulls so a gap does not disturb their state.
+function compile(node) {
+  switch (node.type) {
+    case "num":
+      return () => node.value;
+    case "input":
+      return (values) => values[node.name] ?? null;
+    case "negate": {
+      const arg = compile(node.arg);
+      return (values, t) => {
+        const a = arg(values, t);
+        return a == null ? null : -a;
+      };
+    }
+    case "binary": {
+      const left = compile(node.left);
+      const right = compile(node.right);
+      const op = {
+        "+": (a, b) => a + b,
+        "-": (a, b) => a - b,
+        "*": (a, b) => a * b,
+        "/": (a, b) => a / b,
+        "%": (a, b) => a % b,
+        "^": (a, b) => a ** b,
+      }[node.op];
+      return (values, t) => {
+        const a = left(values, t);
+        const b = a == null ? null : right(values, t);
+        return b == null ? null : op(a, b);
+      };
+    }
+    case "call": {
+      const args = node.args.map(compile);
+      const { fn } = MATH[node.name];
+      return (values, t) => {
+        const xs = args.map((a) => a(values, t));
+        return xs.includes(null) ? null : fn(...xs);
+      };
+    }
+    case "stateful": {
+      const arg = compile(node.arg);
+      const step = STATEFUL[node.name].make(node.params);
+      return (values, t) => {
+        const x = arg(values, t);
+        return x == null ? null : step(x, t);
+      };
+    }
+  }
+}
+
+export function validateExpression(text) {
+  try {
+    return { ok: true, inputs: parseExpression(text).inputs };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// ── Channels ────────────────────────────────────────────────────────────────
+// { id, name, expression, unit, color, record }; record adds the values to
+// recordings as DERIVED samples
+let nextId = 1;
+
+export function createDerivedChannel(patch = {}) {
+  return {
+    id: `${Date.now().toString(36)}-${nextId++}`,
+    name: "Red / IR",
+    expression: "AFE.Red / AFE.IR",
+    unit: "",
+    color: DERIVED_COLORS[0],
+    record: false,
+    ...patch,
+  };
+}
+
+export function normalizeDerivedChannel(c = {}, index = 0) {
+  const base = createDerivedChannel({ color: DERIVED_COLORS[index % DERIVED_COLORS.length] });
+  return {
+    id: typeof c.id === "string" && c.id ? c.id : base.id,
+    name: typeof c.name === "string" && c.name.trim() ? c.name.trim() : `Derived ${index + 1}`,
+    expression: typeof c.expression === "string" ? c.expression : base.expression,
+    unit: typeof c.unit === "string" ? c.unit : "",
+    color: /^#[0-9a-f]{6}$/i.test(c.color ?? "") ? c.color : base.color,
+    record: c.record === true,
+  };
+}
+
+// Live evaluation for a panel. Buffers survive setChannels for channels whose
+// expression is unchanged, so editing one channel leaves the others' traces.
+export function createDerivedEngine() {
+  let compiled = []; // { channel, stream, key (the trigger), streams, evaluate }
+  const buffers = {}; // channel id → series buffer
+  const held = {}; // latest value per input
+  const expressions = {}; // channel id → expression its buffer was filled from
+
+  function buffer(id) {
+    return (buffers[id] ??= createSeriesBuffer(RETAIN_SEC));
+  }
+
+  function setChannels(channels) {
+    compiled = [];
+    for (const channel of channels) {
+      const check = validateExpression(channel.expression);
+      if (!check.ok) continue;
+      if (expressions[channel.id] !== channel.expression) buffer(channel.id).clear();
+      expressions[channel.id] = channel.expression;
+      const [stream, key] = check.inputs[0].split(".");
+      compiled.push({
+        channel,
+        stream,
+        key,
+        streams: new Set(check.inputs.map((n) => INPUT_STREAM[n].key)),
+        evaluate: compile(parseExpression(channel.expression).ast),
+      });
+    }
+  }
+
+  // One decoded sample of a stream at t, the panel's timeline in seconds;
+  // host-clock streams (strap heart rate, standard battery) must be on the
+  // same timeline as the device-clock ones so that held inputs line up with
+  // the trigger. → [{ channel, y }] for the channels it triggered.
+  // Non-finite results (x / 0) are stored as gaps.
+  function push(stream, t, values) {
+    for (const [key, y] of Object.entries(values)) held[`${stream}.${key}`] = y;
+    const out = [];
+    for (const c of compiled) {
+      if (c.stream !== stream || !(c.key in values)) continue;
+      const v = c.evaluate(held, t);
+      const y = v != null && Number.isFinite(v) ? v : null;
+      buffer(c.channel.id).push(t, y);
+      out.push({ channel: c.channel, y });
+    }
+    return out;
+  }
+
+  // A gap in a stream breaks every channel reading it
+  function gap(stream, t) {
+    for (const c of compiled) if (c.streams.has(stream)) buffer(c.channel.id).push(t, null);
+  }
+
+  function clear() {
+    for (const buf of Object.values(buffers)) buf.clear();
+    for (const key of Object.keys(held)) delete held[key];
+    setChannels(compiled.map((c) => c.channel)); // fresh filter state
+  }
+
+  return {
+    buffer,
+    setChannels,
+    push,
+    gap,
+    clear,
+    get channels() {
+      return compiled.map((c) => c.channel);
+    },
+  };
+}
+
+// Seconds a chart of the channel shows while following live data: that of
+// its trigger stream
+export function derivedWindow(channel) {
+  const check = validateExpression(channel.expression);
+  return check.ok ? INPUT_STREAM[check.inputs[0]].window : null;
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+export const DEFAULT_DERIVED_CHANNELS = [];
+
+export function loadDerivedChannels() {
+  if (typeof localStorage === "undefined") return DEFAULT_DERIVED_CHANNELS;
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+    return Array.isArray(parsed) ? parsed.map(normalizeDerivedChannel) : DEFAULT_DERIVED_CHANNELS;
+  } catch {
+    return DEFAULT_DERIVED_CHANNELS;
+  }
+}
+
+export function saveDerivedChannels(channels) {
+  const list = channels.map(normalizeDerivedChannel);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
+
+// The channel list every panel's engine evaluates (see createLocalStore)
+export const derivedStore = createLocalStore(STORAGE_KEY, loadDerivedChannels, saveDerivedChannels);
@@ -0,0 +1,77 @@
+// ── DSP primitives ──────────────────────────────────────────────────────────
+// Small, allocation-free building blocks shared by the signal pipelines.
+
+// RBJ audio-EQ-cookbook biquad; type is "lowpass" | "highpass" | "bandpass"
+export function createBiquad(type, fs, f0, q = Math.SQRT1_2) {
+  const w0 = (2 * Math.PI * Math.min(f0, fs * 0.45)) / fs;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b0, b1, b2;
+  if (type === "lowpass") {
+    b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+  } else if (type === "highpass") {
+    b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+  } else if (type === "bandpass") {
+    b0 = alpha; b1 = 0; b2 = -alpha;
+  } else {
+    throw new Error(`Unknown biquad type "${type}"`);
+  }
+  const a0 = 1 + alpha, a1 = -2 * cos, a2 = 1 - alpha;
+  const c = [b0 / a0, b1 / a0, b2 / a0, a1 / a0, a2 / a0];
+
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  let primed = false;
+
+  return {
+    process(x) {
+      if (!primed) {
+        // Start from steady state so a large DC offset does not ring
+        x1 = x2 = x;
+        const dcGain = (c[0] + c[1] + c[2]) / (1 + c[3] + c[4]);
+        y1 = y2 = x * dcGain;
+        primed = true;
+      }
+      const y = c[0] * x + c[1] * x1 + c[2] * x2 - c[3] * y1 - c[4] * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      return y;
+    },
+    reset() {
+      primed = false;
+    },
+  };
+}
+
+// High-pass + low-pass pair, i.e. a 2nd-order band-pass with separate corners
+export function createBandpass(fs, low, high) {
+  const hp = createBiquad("highpass", fs, low);
+  const lp = createBiquad("lowpass", fs, high);
+  return {
+    process: (x) => lp.process(hp.process(x)),
+    reset() {
+      hp.reset();
+      lp.reset();
+    },
+  };
+}
+
+export function median(xs) {
+  if (xs.length === 0) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+export function mean(xs) {
+  if (xs.length === 0) return null;
+  let sum = 0;
+  for (const x of xs) sum += x;
+  return sum / xs.length;
+}
+
+export function rms(xs) {
+  if (xs.length === 0) return null;
+  let sum = 0;
+  for (const x of xs) sum += x * x;
+  return Math.sqrt(sum / xs.length);
+}
@@ -0,0 +1,100 @@
+// ── Standard GATT services ──────────────────────────────────────────────────
+// Bluetooth SIG services read alongside the custom HRPC ones: Device
+// Information, Battery Service (fallback battery level) and Heart Rate, so
+// off-the-shelf chest straps can be connected for reference comparisons.
+
+// 16-bit SIG number → full 128-bit UUID (what getPrimaryServices reports)
+export function uuid16(n) {
+  return `0000${n.toString(16).padStart(4, "0")}-0000-1000-8000-00805f9b34fb`;
+}
+
+export const DEVICE_INFO_SERVICE_UUID = uuid16(0x180a);
+export const BATTERY_SERVICE_UUID = uuid16(0x180f);
+export const BATTERY_LEVEL_CHAR_UUID = uuid16(0x2a19);
+export const HEART_RATE_SERVICE_UUID = uuid16(0x180d);
+export const HEART_RATE_MEASUREMENT_CHAR_UUID = uuid16(0x2a37);
+
+// Device Information characteristics, in display order
+export const DEVICE_INFO_FIELDS = [
+  { key: "manufacturer", label: "Manufacturer", uuid: uuid16(0x2a29) },
+  { key: "model", label: "Model", uuid: uuid16(0x2a24) },
+  { key: "serial", label: "Serial number", uuid: uuid16(0x2a25) },
+  { key: "hardware", label: "Hardware revision", uuid: uuid16(0x2a27) },
+  { key: "firmware", label: "Firmware revision", uuid: uuid16(0x2a26) },
+  { key: "software", label: "Software revision", uuid: uuid16(0x2a28) },
+];
+
+export const STANDARD_SERVICES = [DEVICE_INFO_SERVICE_UUID, BATTERY_SERVICE_UUID, HEART_RATE_SERVICE_UUID];
+
+const RR_TICKS_PER_SECOND = 1024;
+
+// ── Parsers ─────────────────────────────────────────────────────────────────
+export function parseBatteryLevel(dv) {
+  if (dv.byteLength < 1) return null;
+  return { percent: Math.min(100, dv.getUint8(0)) };
+}
+
+// Flags: bit 0 uint16 HR, bits 1–2 sensor contact, bit 3 energy expended,
+// bit 4 RR intervals (1/1024 s each) until the end of the packet
+export function parseHeartRateMeasurement(dv) {
+  if (dv.byteLength < 2) return null;
+  const flags = dv.getUint8(0);
+  let offset = 1;
+  let bpm;
+  if (flags & 0x01) {
+    if (dv.byteLength < 3) return null;
+    bpm = dv.getUint16(offset, true);
+    offset += 2;
+  } else {
+    bpm = dv.getUint8(offset);
+    offset += 1;
+  }
+  const contactSupported = (flags & 0x04) !== 0;
+  const contact = contactSupported ? (flags & 0x02) !== 0 : null;
+  let energy = null;
+  if (flags & 0x08 && offset + 2 <= dv.byteLength) {
+    energy = dv.getUint16(offset, true);
+    offset += 2;
+  }
+  const rr = [];
+  if (flags & 0x10) {
+    for (; offset + 2 <= dv.byteLength; offset += 2) {
+      rr.push((dv.getUint16(offset, true) * 1000) / RR_TICKS_PER_SECOND);
+    }
+  }
+  return { bpm, contact, energy, rr };
+}
+
+export function encodeHeartRateMeasurement(bpm, rr = []) {
+  const bytes = [0x10 | 0x04 | 0x02, Math.max(0, Math.min(255, Math.round(bpm)))];
+  for (const ms of rr) {
+    const ticks = Math.round((ms * RR_TICKS_PER_SECOND) / 1000);
+    bytes.push(ticks & 0xff, ticks >> 8);
+  }
+  return Uint8Array.from(bytes);
+}
+
+// ── Device Information ──────────────────────────────────────────────────────
+// Reads every characteristic the device exposes; resolves with null when
+// the service is missing. Strings are UTF-8, trailing NULs trimmed.
+export async function readDeviceInfo(server) {
+  let svc;
+  try {
+    svc = await server.getPrimaryService(DEVICE_INFO_SERVICE_UUID);
+  } catch {
+    return null;
+  }
+  const decoder = new TextDecoder();
+  const info = {};
+  for (const { key, uuid } of DEVICE_INFO_FIELDS) {
+    try {
+      const ch = await svc.getCharacteristic(uuid);
+      const dv = await ch.readValue();
+      const text = decoder.decode(new Uint8Array(dv.buffer, dv.byteOffset, dv.byteLength));
+      info[key] = text.replace(/\0+$/, "").trim();
+    } catch {
+      // characteristic not implemented by this device
+    }
+  }
+  return info;
+}
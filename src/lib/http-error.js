@@ -0,0 +1,14 @@
+// ── API route errors (server only) ──────────────────────────────────────────
+// Stores throw httpError(message, status); route handlers turn any thrown
+// error into a JSON { error } response with that status (500 otherwise).
+
+export function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function errorResponse(err) {
+  if (!err?.status) console.error(err);
+  return Response.json({ error: String(err?.message || err) }, { status: err?.status ?? 500 });
+}
@@ -0,0 +1,120 @@
+// ── Link quality ────────────────────────────────────────────────────────────
+// Per-stream timing derived from the device timestamp header: sample rate,
+// inter-packet intervals, gaps, estimated packet loss and host/device drift.
+
+import { median } from "./dsp";
+
+const INTERVAL_WINDOW = 64; // recent intervals kept for median / jitter
+const GAP_FACTOR = 1.6; // interval > GAP_FACTOR × median counts as a gap
+const RESET_TOLERANCE_MS = 1000; // backwards jump larger than this = clock reset
+
+function createStreamStats() {
+  return {
+    packets: 0,
+    samples: 0,
+    firstTs: null,
+    lastTs: null,
+    firstHost: null,
+    lastHost: null,
+    intervals: [],
+    gaps: 0,
+    lost: 0,
+    resets: 0,
+    lastGapHost: null,
+    samplesPerPacket: 0,
+  };
+}
+
+export function createLinkMonitor() {
+  let streams = {};
+
+  // Returns { gap, lost, reset, period } for the caller to act on; period is
+  // the per-sample spacing in device ms (null until two packets have arrived)
+  function onPacket(stream, ts, sampleCount, host = Date.now()) {
+    const s = (streams[stream] ??= createStreamStats());
+    const result = { gap: false, lost: 0, reset: false, period: null };
+
+    if (s.lastTs != null && ts < s.lastTs - RESET_TOLERANCE_MS) {
+      Object.assign(s, createStreamStats(), { resets: s.resets + 1 });
+      result.reset = true;
+    }
+
+    if (s.lastTs != null && !result.reset) {
+      const dt = ts - s.lastTs;
+      const med = median(s.intervals);
+      if (med && dt > GAP_FACTOR * med) {
+        const missing = Math.max(1, Math.round(dt / med) - 1);
+        s.gaps++;
+        s.lost += missing;
+        s.lastGapHost = host;
+        result.gap = true;
+        result.lost = missing;
+      }
+      // Gaps stay in the window too, so a genuine rate change is adopted
+      // by the median instead of being reported as loss forever
+      if (dt >= 0) {
+        s.intervals.push(dt);
+        if (s.intervals.length > INTERVAL_WINDOW) s.intervals.shift();
+      }
+    }
+
+    if (s.firstTs == null) {
+      s.firstTs = ts;
+      s.firstHost = host;
+    }
+    s.lastTs = ts;
+    s.lastHost = host;
+    s.packets++;
+    s.samples += sampleCount;
+    s.samplesPerPacket = sampleCount || s.samplesPerPacket;
+
+    const med = median(s.intervals);
+    if (med && sampleCount > 0) result.period = med / sampleCount;
+    return result;
+  }
+
+  function statsFor(name, now) {
+    const s = streams[name];
+    const med = median(s.intervals);
+    const mean = s.intervals.reduce((a, b) => a + b, 0) / (s.intervals.length || 1);
+    const variance = s.intervals.reduce((a, b) => a + (b - mean) ** 2, 0) / (s.intervals.length || 1);
+    const deviceSpan = s.lastTs - s.firstTs;
+    const hostSpan = s.lastHost - s.firstHost;
+    const expected = s.packets + s.lost;
+    return {
+      stream: name,
+      packets: s.packets,
+      samples: s.samples,
+      sampleRate: deviceSpan > 0 ? ((s.samples - s.samplesPerPacket) * 1000) / deviceSpan : null,
+      packetRate: med ? 1000 / med : null,
+      interval: med,
+      jitter: s.intervals.length > 1 ? Math.sqrt(variance) : null,
+      gaps: s.gaps,
+      lost: s.lost,
+      lossPct: expected > 0 ? (100 * s.lost) / expected : 0,
+      resets: s.resets,
+      sinceGap: s.lastGapHost != null ? now - s.lastGapHost : null,
+      sinceLast: now - s.lastHost,
+      // Positive = device clock runs slow relative to the host
+      driftPpm: deviceSpan > 5000 ? ((hostSpan - deviceSpan) / deviceSpan) * 1e6 : null,
+    };
+  }
+
+  return {
+    onPacket,
+    snapshot: (now = Date.now()) => Object.keys(streams).map((name) => statsFor(name, now)),
+    reset(stream) {
+      if (stream) delete streams[stream];
+      else streams = {};
+    },
+  };
+}
+
+// Device time for each of n samples in a packet stamped ts (the last
+// sample). Uses the stream's measured spacing; all samples share ts until
+// a spacing estimate exists.
+export function sampleTimes(ts, n, period) {
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = ts - (n - 1 - i) * (period ?? 0);
+  return out;
+}
@@ -0,0 +1,155 @@
+// ── Live relay client ───────────────────────────────────────────────────────
+// Publisher and viewer ends of /api/live (message format: @/lib/live-hub).
+// The publisher batches decoded samples and posts them a few times a second;
+// batches that cannot be delivered are dropped, it is a live view only.
+// An idle publisher re-sends its "hello" so the relay keeps the channel.
+
+import { TREND_WINDOW_SEC, createStreamBuffers } from "./streams";
+import { createSeriesBuffer } from "./ring-buffer";
+
+const BASE = "/api/live";
+const FLUSH_MS = 250;
+const KEEPALIVE_MS = 15000; // the relay ends channels silent for 45 s
+
+const channelUrl = (channel) => `${BASE}/${encodeURIComponent(channel)}`;
+
+export function newChannelId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+export async function listLiveChannels() {
+  const res = await fetch(BASE);
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(body?.error ?? `${res.status} ${res.statusText}`);
+  return body.channels;
+}
+
+// onError(err) is called once per run of failed posts
+export function createLivePublisher(channel, { onError } = {}) {
+  let queue = [];
+  let pending = {}; // stream → samples message being filled
+  let sending = false;
+  let failing = false;
+  let stopped = false;
+  let hello = null; // latest hello, doubles as the keep-alive
+  let lastPost = 0;
+
+  function send(msg) {
+    if (stopped) return;
+    if (msg.type === "hello") hello = msg;
+    queue.push(msg);
+  }
+
+  // times: device seconds per sample (see DevicePanel's timeline); a gap
+  // breaks every series of the stream at the first sample
+  function samples(def, times, decoded, gap) {
+    if (stopped) return;
+    const msg = (pending[def.key] ??= { type: "samples", stream: def.key, series: {} });
+    const line = (key) => (msg.series[key] ??= []);
+    if (gap) for (const s of def.series) line(s.key).push(times[0], null);
+    decoded.forEach(({ values }, i) => {
+      for (const [key, y] of Object.entries(values)) line(key).push(times[i], y);
+    });
+    if (def.readout && decoded.length > 0) msg.row = decoded[decoded.length - 1].row;
+  }
+
+  async function flush() {
+    if (sending) return;
+    const messages = [...queue, ...Object.values(pending)];
+    queue = [];
+    pending = {};
+    if (messages.length === 0 && hello && !stopped && Date.now() - lastPost >= KEEPALIVE_MS) messages.push(hello);
+    if (messages.length === 0) return;
+    lastPost = Date.now();
+    sending = true;
+    try {
+      const res = await fetch(channelUrl(channel), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ messages }),
+      });
+      if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `${res.status} ${res.statusText}`);
+      failing = false;
+    } catch (err) {
+      if (!failing) onError?.(err);
+      failing = true;
+    } finally {
+      sending = false;
+    }
+  }
+
+  const timer = setInterval(flush, FLUSH_MS);
+
+  return {
+    channel,
+    send,
+    samples,
+    async stop() {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(timer);
+      await flush();
+      await fetch(channelUrl(channel), { method: "DELETE", keepalive: true }).catch(() => {});
+    },
+  };
+}
+
+// Viewer-side chart data: stream buffers as in DevicePanel, the vitals
+// trends and the publisher's marker lines, filled from relayed messages
+export function createLiveFeed() {
+  const buffers = createStreamBuffers();
+  const hrTrend = createSeriesBuffer(TREND_WINDOW_SEC);
+  const spo2Trend = createSeriesBuffer(TREND_WINDOW_SEC);
+  let markers = [];
+
+  function clear() {
+    for (const series of Object.values(buffers)) for (const buf of Object.values(series)) buf.clear();
+    hrTrend.clear();
+    spo2Trend.clear();
+  }
+
+  return {
+    buffers,
+    hrTrend,
+    spo2Trend,
+    get markers() {
+      return markers;
+    },
+    clear,
+    // samples / vitals / markers / clear messages; others are ignored
+    apply(msg) {
+      if (msg.type === "samples") {
+        const bufs = buffers[msg.stream];
+        if (!bufs) return;
+        for (const [key, flat] of Object.entries(msg.series)) {
+          const buf = bufs[key];
+          if (!buf) continue;
+          for (let i = 0; i + 1 < flat.length; i += 2) buf.push(flat[i], flat[i + 1]);
+        }
+      } else if (msg.type === "vitals") {
+        hrTrend.push(msg.t, msg.hr);
+        spo2Trend.push(msg.t, msg.spo2);
+      } else if (msg.type === "markers") {
+        markers = msg.lines;
+      } else if (msg.type === "clear") {
+        clear();
+      }
+    },
+  };
+}
+
+// onMessage(msg) per relayed message; onStatus("open" | "reconnecting").
+// EventSource reconnects by itself. Returns the close function.
+export function subscribeLive(channel, onMessage, onStatus) {
+  const source = new EventSource(channelUrl(channel));
+  source.onopen = () => onStatus?.("open");
+  source.onerror = () => onStatus?.("reconnecting");
+  source.onmessage = (e) => {
+    try {
+      onMessage(JSON.parse(e.data));
+    } catch (err) {
+      console.warn("Live message:", err);
+    }
+  };
+  return () => source.close();
+}
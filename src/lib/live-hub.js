@@ -0,0 +1,136 @@
+// ── Live relay (server only) ────────────────────────────────────────────────
+// The browser holding the Bluetooth link publishes batches of decoded samples
+// to a channel; any number of read-only viewers follow it over Server-Sent
+// Events. Nothing is stored: a channel keeps its latest "hello" and markers
+// plus a few seconds of data so a late viewer can fill its charts at once.
+// Publishers re-post their "hello" when idle; a channel silent for longer
+// than CHANNEL_TTL_MS (a crashed tab, a lost network) is ended.
+//
+// Messages (see @/lib/live-api for the publisher side):
+//   { type: "hello", name, device, streams, titles }   publisher (re)started
+//   { type: "samples", stream, series: { [key]: [x, y, x, y, ...] }, row? }
+//   { type: "vitals", t, hr, spo2 }
+//   { type: "markers", lines: [{ x, label }] }
+//   { type: "clear" }                                  device timeline restarted
+//   { type: "end" }                                    publisher stopped or went silent
+//
+// Used by the /api/live route handlers; never import it from the client.
+
+import { httpError } from "./http-error";
+
+const CHANNEL_PATTERN = /^[a-z0-9-]{4,64}$/i;
+const MESSAGE_TYPES = new Set(["hello", "samples", "vitals", "markers", "clear"]);
+const BACKLOG_MS = 15000; // covers the longest fast-chart window
+const MAX_BATCH = 500;
+const CHANNEL_TTL_MS = 45000; // three missed keep-alives, see @/lib/live-api
+
+export function checkChannel(id) {
+  if (!CHANNEL_PATTERN.test(String(id))) throw httpError("Invalid channel id");
+}
+
+function createHub() {
+  const channels = new Map(); // id → { hello, markers, backlog, viewers, updatedAt }
+
+  function channel(id, create) {
+    checkChannel(id);
+    let ch = channels.get(id);
+    if (!ch && create) {
+      ch = { hello: null, markers: null, backlog: [], viewers: new Set(), updatedAt: null };
+      channels.set(id, ch);
+    }
+    return ch ?? null;
+  }
+
+  // Forget channels nobody publishes to or watches
+  function prune(id) {
+    const ch = channels.get(id);
+    if (ch && !ch.hello && ch.viewers.size === 0) channels.delete(id);
+  }
+
+  function broadcast(ch, msg) {
+    for (const send of ch.viewers) send(msg);
+  }
+
+  // Publisher gone: tell viewers, keep the channel while they watch
+  function endChannel(id) {
+    const ch = channels.get(id);
+    if (!ch) return;
+    ch.hello = null;
+    ch.markers = null;
+    ch.backlog = [];
+    broadcast(ch, { type: "end" });
+    prune(id);
+  }
+
+  function expire(now = Date.now()) {
+    for (const [id, ch] of channels) {
+      if (ch.updatedAt != null && now - ch.updatedAt > CHANNEL_TTL_MS) endChannel(id);
+    }
+  }
+
+  return {
+    list() {
+      expire();
+      return [...channels.entries()]
+        .filter(([, ch]) => ch.hello)
+        .map(([id, ch]) => ({
+          id,
+          name: ch.hello.name ?? null,
+          device: ch.hello.device ?? null,
+          streams: ch.hello.streams ?? [],
+          viewers: ch.viewers.size,
+          updatedAt: ch.updatedAt,
+        }));
+    },
+
+    publish(id, messages) {
+      if (!Array.isArray(messages)) throw httpError("Expected { messages: [...] }");
+      if (messages.length > MAX_BATCH) throw httpError(`At most ${MAX_BATCH} messages per batch`, 413);
+      for (const msg of messages) {
+        if (!MESSAGE_TYPES.has(msg?.type)) throw httpError(`Unknown message type: ${msg?.type}`);
+      }
+      expire();
+      const ch = channel(id, true);
+      const now = Date.now();
+      ch.updatedAt = now;
+      for (const msg of messages) {
+        if (msg.type === "hello") {
+          ch.hello = msg;
+        } else if (msg.type === "markers") {
+          ch.markers = msg;
+        } else if (msg.type === "clear") {
+          ch.backlog = [];
+        } else if (msg.type === "samples" || msg.type === "vitals") {
+          ch.backlog.push({ at: now, msg });
+        }
+        broadcast(ch, msg);
+      }
+      ch.backlog = ch.backlog.filter((b) => now - b.at <= BACKLOG_MS);
+    },
+
+    // Publisher stopped (DELETE)
+    end(id) {
+      checkChannel(id);
+      endChannel(id);
+    },
+
+    // send(msg) is called for the channel's state so far, then for every
+    // new message; returns the unsubscribe function
+    subscribe(id, send) {
+      expire();
+      const ch = channel(id, true);
+      if (ch.hello) send(ch.hello);
+      if (ch.markers) send(ch.markers);
+      for (const { msg } of ch.backlog) send(msg);
+      ch.viewers.add(send);
+      return () => {
+        ch.viewers.delete(send);
+        prune(id);
+      };
+    },
+  };
+}
+
+// One hub per server process; kept on globalThis so every route bundle (and
+// dev-mode module reloads) share it
+export const liveHub = (globalThis.hrpcLiveHub ??= createHub());
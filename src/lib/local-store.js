@@ -0,0 +1,40 @@
+// ── Stored settings ─────────────────────────────────────────────────────────
+// localStorage-backed state shared by every component that reads it with
+// useSyncExternalStore: read once, written through on every change and
+// refreshed when another tab changes it.
+//   load() → state (its defaults when missing or unreadable)
+//   save(state) → the state as stored
+
+export function createLocalStore(key, load, save) {
+  let current = null;
+  const listeners = new Set();
+
+  const notify = () => {
+    for (const l of listeners) l();
+  };
+
+  function onStorage(e) {
+    if (e.key !== key) return;
+    current = null;
+    notify();
+  }
+
+  const store = {
+    get: () => (current ??= load()),
+    set(state) {
+      current = save(state);
+      notify();
+    },
+    // fn(state) → next state
+    update: (fn) => store.set(fn(store.get())),
+    subscribe(listener) {
+      if (listeners.size === 0) window.addEventListener("storage", onStorage);
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) window.removeEventListener("storage", onStorage);
+      };
+    },
+  };
+  return store;
+}
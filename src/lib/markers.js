@@ -0,0 +1,95 @@
+// ── Event markers ───────────────────────────────────────────────────────────
+// Free-text annotations ("subject stood up") pinned to the device clock so
+// they line up with every chart, and survive export / re-import next to a
+// capture. deviceTs is the raw device timestamp (ms) of the latest packet
+// when the marker was placed; t is host time.
+
+import { csvCell } from "./recorder";
+
+export const MARKER_FORMAT_VERSION = 1;
+export const MARKER_HOTKEY = "m";
+const CSV_COLUMNS = ["t", "deviceTs", "label"];
+
+let nextId = 1;
+
+export function createMarker({ label, deviceTs, t = Date.now() }) {
+  return { id: nextId++, label: String(label ?? "").trim() || "Marker", deviceTs, t };
+}
+
+// origin: device timestamp at x = 0 of the current timeline
+export function markerLines(markers, origin, ticksPerSecond) {
+  if (origin == null) return [];
+  return markers
+    .filter((m) => m.deviceTs != null)
+    .map((m) => ({ x: (m.deviceTs - origin) / ticksPerSecond, label: m.label }));
+}
+
+export function markersToJson(markers, meta = {}) {
+  return JSON.stringify(
+    {
+      type: "hrpc-markers",
+      version: MARKER_FORMAT_VERSION,
+      ...meta,
+      markers: markers.map(({ t, deviceTs, label }) => ({ t, deviceTs, label })),
+    },
+    null,
+    2
+  );
+}
+
+export function markersToCsv(markers) {
+  const rows = markers.map((m) => CSV_COLUMNS.map((k) => csvCell(m[k])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+// Splits one CSV line, honouring "quoted, fields" and "" escapes
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      out.push(cur);
+      cur = "";
+    } else cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+function toMarker(raw, where) {
+  const deviceTs = raw.deviceTs === "" || raw.deviceTs == null ? null : Number(raw.deviceTs);
+  const t = raw.t === "" || raw.t == null ? null : Number(raw.t);
+  if ((deviceTs != null && !Number.isFinite(deviceTs)) || (t != null && !Number.isFinite(t))) {
+    throw new Error(`${where}: timestamps must be numbers`);
+  }
+  if (deviceTs == null) throw new Error(`${where}: missing deviceTs`);
+  return createMarker({ label: raw.label, deviceTs, t: t ?? undefined });
+}
+
+// Accepts the JSON export or the CSV export (header row required)
+export function parseMarkers(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : data?.markers;
+    if (!Array.isArray(list)) throw new Error('Not a marker export (missing "markers")');
+    return list.map((m, i) => toMarker(m, `Marker ${i + 1}`));
+  }
+  const lines = trimmed.split(/\r?\n/).filter((l) => l.trim());
+  const header = splitCsvLine(lines[0] ?? "").map((h) => h.trim());
+  if (!header.includes("deviceTs")) throw new Error('CSV header must include "deviceTs"');
+  return lines.slice(1).map((line, i) => {
+    const cells = splitCsvLine(line);
+    const raw = Object.fromEntries(header.map((h, k) => [h, cells[k]]));
+    return toMarker(raw, `Line ${i + 2}`);
+  });
+}
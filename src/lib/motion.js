@@ -0,0 +1,105 @@
+// ── Motion artifact detection ───────────────────────────────────────────────
+// Activity index from the IMU: accelerometer-magnitude variability plus
+// gyroscope rate, evaluated on a sliding window. Windows above threshold
+// become "motion segments" (device seconds) used to gate PPG-derived vitals.
+
+import { mean, rms } from "./dsp";
+
+const WINDOW_SEC = 1;
+const HOP_SEC = 0.25;
+const PAD_SEC = 0.5; // artifacts outlast the movement a little
+const SEGMENT_HISTORY_SEC = 600;
+
+// Index of 1.0 is the "moving" threshold on either sensor
+const ACCEL_STD_REF_G = 0.05;
+const GYRO_RMS_REF_DPS = 25;
+
+export function createMotionDetector({ threshold = 1 } = {}) {
+  let t = [];
+  let accMag = [];
+  let gyroMag = [];
+  let nextEval = null;
+  let index = 0;
+  let segments = []; // [{ start, end }], end grows while moving
+  let open = null;
+
+  function evaluate(now) {
+    const mu = mean(accMag);
+    const accStd = Math.sqrt(mean(accMag.map((m) => (m - mu) ** 2)));
+    const gyr = rms(gyroMag);
+    index = Math.max(accStd / ACCEL_STD_REF_G, gyr / GYRO_RMS_REF_DPS);
+
+    if (index >= threshold) {
+      const start = now - WINDOW_SEC - PAD_SEC;
+      if (open) open.end = now + PAD_SEC;
+      else {
+        const last = segments[segments.length - 1];
+        if (last && start <= last.end) {
+          open = last;
+          open.end = now + PAD_SEC;
+        } else {
+          open = { start, end: now + PAD_SEC };
+          segments.push(open);
+        }
+      }
+    } else {
+      open = null;
+    }
+    while (segments.length > 0 && now - segments[0].end > SEGMENT_HISTORY_SEC) segments.shift();
+  }
+
+  // s: calibrated IMU sample, accel in g and gyro in deg/s; ts in device seconds
+  function push(ts, s) {
+    t.push(ts);
+    accMag.push(Math.hypot(s.ax, s.ay, s.az));
+    gyroMag.push(Math.hypot(s.gx, s.gy, s.gz));
+    while (t.length > 0 && ts - t[0] > WINDOW_SEC) {
+      t.shift();
+      accMag.shift();
+      gyroMag.shift();
+    }
+    if (nextEval == null) nextEval = ts + WINDOW_SEC;
+    if (ts >= nextEval) {
+      evaluate(ts);
+      nextEval = ts + HOP_SEC;
+    }
+  }
+
+  function isMoving(ts) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const seg = segments[i];
+      if (ts > seg.end) return false;
+      if (ts >= seg.start) return true;
+    }
+    return false;
+  }
+
+  // Fraction of [from, to] covered by motion segments
+  function coverage(from, to) {
+    if (to <= from) return 0;
+    let covered = 0;
+    for (const seg of segments) {
+      const a = Math.max(from, seg.start), b = Math.min(to, seg.end);
+      if (b > a) covered += b - a;
+    }
+    return Math.min(1, covered / (to - from));
+  }
+
+  return {
+    push,
+    isMoving,
+    coverage,
+    reset() {
+      t = [];
+      accMag = [];
+      gyroMag = [];
+      nextEval = null;
+      index = 0;
+      segments = [];
+      open = null;
+    },
+    get index() { return index; },
+    get moving() { return open != null; },
+    get segments() { return segments; },
+  };
+}
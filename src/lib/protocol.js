@@ -0,0 +1,227 @@
+// ── HRPC wire protocol ──────────────────────────────────────────────────────
+// Framework-free parsers (and matching encoders) for the HRPC notification
+// payloads, driven by the versioned packet formats below. Every packet starts
+// with an 8-byte little-endian device timestamp; parsers return null when a
+// packet is too short to be valid.
+
+export const HEADER_BYTES = 8;
+export const TIMESTAMP_TICKS_PER_SECOND = 1000; // header counts milliseconds
+
+export const PPG_CHANNELS = 4;
+export const PPG_SAMPLES_PER_PACKET = 10;
+export const PPG_NAMES = ["Green", "Red", "IR", "Ambient"];
+
+export const STREAMS = ["AFE", "IMU", "TMP", "BAT", "HFS"];
+
+// ── Wire types ──────────────────────────────────────────────────────────────
+// Little-endian; writes round and clamp to the type's range.
+function int(bytes, signed) {
+  const bits = bytes * 8;
+  const name = `${signed ? "Int" : "Uint"}${bits}`;
+  const min = signed ? -(2 ** (bits - 1)) : 0;
+  const max = signed ? 2 ** (bits - 1) - 1 : 2 ** bits - 1;
+  return {
+    bytes,
+    get: (dv, o) => dv[`get${name}`](o, true),
+    set: (dv, o, v) => dv[`set${name}`](o, Math.max(min, Math.min(max, Math.round(v))), true),
+  };
+}
+
+const TYPES = {
+  u8: int(1, false),
+  i8: int(1, true),
+  u16: int(2, false),
+  i16: int(2, true),
+  u32: int(4, false),
+  i32: int(4, true),
+  // Whole units in the first byte, hundredths (0–99) in the second
+  "u8.centi": {
+    bytes: 2,
+    get: (dv, o) => dv.getUint8(o) + dv.getUint8(o + 1) / 100,
+    set: (dv, o, v) => {
+      const centi = Math.max(0, Math.min(25599, Math.round(v * 100)));
+      dv.setUint8(o, Math.floor(centi / 100));
+      dv.setUint8(o + 1, centi % 100);
+    },
+  },
+};
+
+// ── Packet formats ──────────────────────────────────────────────────────────
+// One table per format version, one entry per stream. Offsets count from the
+// start of the payload (the timestamp header included). A stream is either
+//   { fields }                         one value per packet
+//   { records: { size, max?, fields } } repeated records after the header;
+//                                      a trailing partial record is dropped
+// and a field is { name, offset, type, scale?, lookup? }: the decoded value is
+// raw × scale, or lookup[raw] (null when out of range). Lookup fields are
+// derived on decode and skipped on encode.
+//
+// Standard SIG characteristics (heart rate, battery level) follow the
+// Bluetooth specifications instead, see @/lib/gatt-standard.
+
+const FORMAT_V1 = {
+  AFE: {
+    records: {
+      size: 5,
+      max: PPG_SAMPLES_PER_PACKET,
+      fields: [
+        { name: "tag", offset: 0, type: "u8" },
+        { name: "channel", offset: 0, type: "u8", lookup: PPG_NAMES },
+        { name: "value", offset: 1, type: "u32" },
+      ],
+    },
+  },
+  // Interleaved accel/gyro chunks; only complete pairs are decoded
+  IMU: {
+    records: {
+      size: 12,
+      fields: ["ax", "ay", "az", "gx", "gy", "gz"].map((name, i) => ({ name, offset: i * 2, type: "i16" })),
+    },
+  },
+  // Whole degrees in byte 8 and hundredths in byte 9: no negative values
+  TMP: { fields: [{ name: "celsius", offset: 8, type: "u8.centi" }] },
+  BAT: {
+    fields: [
+      { name: "mV", offset: 8, type: "u32" },
+      { name: "percent", offset: 12, type: "u8" },
+    ],
+  },
+  HFS: { fields: [{ name: "value", offset: 8, type: "u32" }] },
+};
+
+// Firmware 2.0 sends the temperature as signed hundredths of a degree
+const FORMAT_V2 = {
+  ...FORMAT_V1,
+  TMP: { fields: [{ name: "celsius", offset: 8, type: "i16", scale: 0.01 }] },
+};
+
+// minFirmware: oldest firmware revision sending the format
+export const PACKET_FORMATS = {
+  1: { label: "v1 (firmware 1.x)", minFirmware: "0.0.0", streams: FORMAT_V1 },
+  2: { label: "v2 (firmware 2.0+)", minFirmware: "2.0.0", streams: FORMAT_V2 },
+};
+
+// Devices that do not report a firmware revision speak the original format
+export const DEFAULT_PACKET_FORMAT = 1;
+
+// "1.4.2", "v2.0", "FW 2.1.0-rc1" → [major, minor, patch]; null otherwise
+export function parseFirmwareVersion(revision) {
+  const m = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(revision ?? ""));
+  return m ? [Number(m[1]), Number(m[2] ?? 0), Number(m[3] ?? 0)] : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+}
+
+// Newest format the firmware revision is known to send
+export function packetFormatFor(revision) {
+  const version = parseFirmwareVersion(revision);
+  if (!version) return DEFAULT_PACKET_FORMAT;
+  let best = DEFAULT_PACKET_FORMAT;
+  for (const [key, f] of Object.entries(PACKET_FORMATS)) {
+    if (compareVersions(version, parseFirmwareVersion(f.minFirmware)) >= 0 && Number(key) > best) best = Number(key);
+  }
+  return best;
+}
+
+export function streamSpec(stream, format = DEFAULT_PACKET_FORMAT) {
+  const spec = (PACKET_FORMATS[format] ?? PACKET_FORMATS[DEFAULT_PACKET_FORMAT]).streams[stream];
+  if (!spec) throw new Error(`No packet format ${format} layout for ${stream}`);
+  return spec;
+}
+
+function fieldsEnd(fields) {
+  return Math.max(...fields.map((f) => f.offset + TYPES[f.type].bytes));
+}
+
+// ── Interpreter ─────────────────────────────────────────────────────────────
+function readFields(dv, base, fields) {
+  const out = {};
+  for (const f of fields) {
+    const raw = TYPES[f.type].get(dv, base + f.offset);
+    out[f.name] = f.lookup ? f.lookup[raw] ?? null : raw * (f.scale ?? 1);
+  }
+  return out;
+}
+
+function writeFields(dv, base, fields, values) {
+  for (const f of fields) {
+    if (f.lookup) continue;
+    TYPES[f.type].set(dv, base + f.offset, (values[f.name] ?? 0) / (f.scale ?? 1));
+  }
+}
+
+export function readTimestamp(dv) {
+  if (dv.byteLength < HEADER_BYTES) return null;
+  return Number(dv.getBigUint64(0, true));
+}
+
+// → { timestamp, ...fields } or { timestamp, samples: [records] }; null when short
+export function decodePacket(stream, dv, format = DEFAULT_PACKET_FORMAT) {
+  const spec = streamSpec(stream, format);
+  if (spec.records) {
+    if (dv.byteLength < HEADER_BYTES) return null;
+    const { size, max = Infinity, fields } = spec.records;
+    const samples = [];
+    for (let o = HEADER_BYTES; o + size <= dv.byteLength && samples.length < max; o += size) {
+      samples.push(readFields(dv, o, fields));
+    }
+    return { timestamp: readTimestamp(dv), samples };
+  }
+  if (dv.byteLength < fieldsEnd(spec.fields)) return null;
+  return { timestamp: readTimestamp(dv), ...readFields(dv, 0, spec.fields) };
+}
+
+// data: field values, or an array of records for record streams
+export function encodePacket(stream, timestamp, data, format = DEFAULT_PACKET_FORMAT) {
+  const spec = streamSpec(stream, format);
+  const size = spec.records
+    ? HEADER_BYTES + data.length * spec.records.size
+    : Math.max(HEADER_BYTES, fieldsEnd(spec.fields));
+  const dv = new DataView(new ArrayBuffer(size));
+  dv.setBigUint64(0, BigInt(Math.max(0, Math.round(timestamp))), true);
+  if (spec.records) {
+    data.forEach((r, i) => writeFields(dv, HEADER_BYTES + i * spec.records.size, spec.records.fields, r));
+  } else {
+    writeFields(dv, 0, spec.fields, data);
+  }
+  return dv;
+}
+
+// ── Parsers ─────────────────────────────────────────────────────────────────
+// Up to 10 tagged samples. Unknown tags are kept with channel: null so the
+// caller can decide what to do with them.
+export const parseAFE = (dv, format) => decodePacket("AFE", dv, format);
+export const parseIMU = (dv, format) => decodePacket("IMU", dv, format);
+export const parseTMP = (dv, format) => decodePacket("TMP", dv, format);
+export const parseBAT = (dv, format) => decodePacket("BAT", dv, format);
+export const parseHFS = (dv, format) => decodePacket("HFS", dv, format);
+
+export const PARSERS = {
+  AFE: parseAFE,
+  IMU: parseIMU,
+  TMP: parseTMP,
+  BAT: parseBAT,
+  HFS: parseHFS,
+};
+
+export function parsePacket(stream, dv, format) {
+  const parse = PARSERS[stream];
+  return parse ? parse(dv, format) : null;
+}
+
+// ── Encoders ────────────────────────────────────────────────────────────────
+// samples: [{ tag, value }, ...]
+export const encodeAFE = (timestamp, samples, format) => encodePacket("AFE", timestamp, samples, format);
+
+// samples: [{ ax, ay, az, gx, gy, gz }, ...]
+export const encodeIMU = (timestamp, samples, format) => encodePacket("IMU", timestamp, samples, format);
+
+export const encodeTMP = (timestamp, celsius, format) => encodePacket("TMP", timestamp, { celsius }, format);
+
+export const encodeBAT = (timestamp, mV, percent, format) =>
+  encodePacket("BAT", timestamp, { mV, percent: Math.max(0, Math.min(100, percent)) }, format);
+
+export const encodeHFS = (timestamp, value, format) => encodePacket("HFS", timestamp, { value }, format);
@@ -0,0 +1,134 @@
+// Golden packets for the HRPC wire protocol. Hex is the payload as notified;
+// every packet starts with the 8-byte little-endian device timestamp.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PACKET_FORMATS, STREAMS, decodePacket, encodePacket, parsePacket } from "./protocol";
+import { fromHex, toHex } from "./recorder";
+
+const view = (hex) => {
+  const bytes = fromHex(hex);
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+};
+const hexOf = (dv) => toHex(new Uint8Array(dv.buffer, dv.byteOffset, dv.byteLength));
+
+const TS = "e803000000000000"; // 1000 ms
+
+// ── Short packets ───────────────────────────────────────────────────────────
+test("record streams shorter than the header decode to null", () => {
+  assert.equal(decodePacket("AFE", view("e8030000000000")), null);
+  assert.equal(decodePacket("IMU", view("e803")), null);
+  assert.equal(decodePacket("AFE", view("")), null);
+});
+
+test("a header with no records decodes to no samples", () => {
+  assert.deepEqual(decodePacket("AFE", view(TS)), { timestamp: 1000, samples: [] });
+  assert.deepEqual(decodePacket("IMU", view(TS)), { timestamp: 1000, samples: [] });
+});
+
+test("field streams shorter than their last field decode to null", () => {
+  assert.equal(decodePacket("TMP", view(TS + "24")), null);
+  assert.equal(decodePacket("BAT", view(TS + "d20e0000")), null);
+  assert.equal(decodePacket("HFS", view(TS + "0102")), null);
+});
+
+test("unknown streams parse to null", () => {
+  assert.equal(parsePacket("XYZ", view(TS)), null);
+});
+
+// ── Odd lengths ─────────────────────────────────────────────────────────────
+test("a trailing partial AFE record is dropped", () => {
+  const pkt = decodePacket("AFE", view(TS + "00e8030000" + "01d0070000" + "02b80b"));
+  assert.deepEqual(pkt, {
+    timestamp: 1000,
+    samples: [
+      { tag: 0, channel: "Green", value: 1000 },
+      { tag: 1, channel: "Red", value: 2000 },
+    ],
+  });
+});
+
+test("AFE packets keep at most ten records", () => {
+  const records = Array.from({ length: 11 }, (_, i) => `0${i % 4}` + "01000000").join("");
+  assert.equal(decodePacket("AFE", view(TS + records)).samples.length, 10);
+});
+
+test("unknown PPG tags keep their value with channel: null", () => {
+  const pkt = decodePacket("AFE", view(TS + "0464000000" + "ff05000000" + "0307000000"));
+  assert.deepEqual(pkt.samples, [
+    { tag: 4, channel: null, value: 100 },
+    { tag: 255, channel: null, value: 5 },
+    { tag: 3, channel: "Ambient", value: 7 },
+  ]);
+});
+
+// ── IMU accel/gyro pairing ──────────────────────────────────────────────────
+test("IMU records pair accel with the gyro chunk that follows it", () => {
+  const pair = "0100" + "feff" + "0010" + "0a00" + "f6ff" + "0080";
+  const pkt = decodePacket("IMU", view(TS + pair + pair));
+  assert.equal(pkt.samples.length, 2);
+  assert.deepEqual(pkt.samples[0], { ax: 1, ay: -2, az: 4096, gx: 10, gy: -10, gz: -32768 });
+});
+
+test("a trailing half IMU pair is dropped", () => {
+  const pair = "0100" + "0200" + "0300" + "0400" + "0500" + "0600";
+  const pkt = decodePacket("IMU", view(TS + pair + "070008000900"));
+  assert.deepEqual(pkt.samples, [{ ax: 1, ay: 2, az: 3, gx: 4, gy: 5, gz: 6 }]);
+});
+
+// ── Format differences ──────────────────────────────────────────────────────
+test("TMP is whole degrees and hundredths in v1, signed hundredths in v2", () => {
+  assert.deepEqual(decodePacket("TMP", view(TS + "2432"), 1), { timestamp: 1000, celsius: 36.5 });
+  assert.deepEqual(decodePacket("TMP", view(TS + "4a0e"), 2), { timestamp: 1000, celsius: 36.58 });
+  assert.deepEqual(decodePacket("TMP", view(TS + "0cfe"), 2), { timestamp: 1000, celsius: -5 });
+});
+
+// ── Round trips ─────────────────────────────────────────────────────────────
+const SAMPLES = {
+  AFE: [
+    { tag: 0, channel: "Green", value: 123456 },
+    { tag: 1, channel: "Red", value: 4294967295 },
+    { tag: 2, channel: "IR", value: 16777217 },
+    { tag: 3, channel: "Ambient", value: 0 },
+  ],
+  IMU: [
+    { ax: -32768, ay: 0, az: 4096, gx: 32767, gy: -1, gz: 250 },
+    { ax: 1, ay: 2, az: 3, gx: -4, gy: -5, gz: -6 },
+  ],
+  TMP: { celsius: 36.75 },
+  BAT: { mV: 3987, percent: 82 },
+  HFS: { value: 3000000000 },
+};
+
+const GOLDEN = {
+  1: {
+    TMP: TS + "244b",
+    BAT: TS + "930f000052",
+    HFS: TS + "005ed0b2",
+  },
+  2: {
+    TMP: TS + "5b0e",
+    BAT: TS + "930f000052",
+    HFS: TS + "005ed0b2",
+  },
+};
+
+for (const format of Object.keys(PACKET_FORMATS).map(Number)) {
+  for (const stream of STREAMS) {
+    test(`${stream} round-trips in format v${format}`, () => {
+      const data = SAMPLES[stream];
+      const dv = encodePacket(stream, 1000, data, format);
+      if (GOLDEN[format][stream]) assert.equal(hexOf(dv), GOLDEN[format][stream]);
+      const pkt = decodePacket(stream, dv, format);
+      assert.deepEqual(pkt, Array.isArray(data) ? { timestamp: 1000, samples: data } : { timestamp: 1000, ...data });
+    });
+  }
+}
+
+test("AFE and IMU encode to their golden bytes", () => {
+  assert.equal(
+    hexOf(encodePacket("AFE", 1000, SAMPLES.AFE.slice(0, 2))),
+    TS + "0040e20100" + "01ffffffff"
+  );
+  assert.equal(hexOf(encodePacket("IMU", 1000, SAMPLES.IMU.slice(1))), TS + "010002000300" + "fcfffbfffaff");
+});
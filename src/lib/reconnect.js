@@ -0,0 +1,65 @@
+// ── Auto-reconnect ──────────────────────────────────────────────────────────
+// Retries a GATT connection with exponential backoff and jitter.
+
+export const RECONNECT_DEFAULTS = {
+  baseDelay: 500, // ms before the first retry
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2, // ± fraction of each delay
+  maxAttempts: 12,
+};
+
+export function backoffDelay(attempt, opts = RECONNECT_DEFAULTS) {
+  const { baseDelay, maxDelay, factor, jitter } = { ...RECONNECT_DEFAULTS, ...opts };
+  const raw = Math.min(maxDelay, baseDelay * factor ** (attempt - 1));
+  return Math.round(raw * (1 + jitter * (Math.random() * 2 - 1)));
+}
+
+// connect(): resolves when connected, throws to retry.
+// Callbacks: onAttempt(n, delay) before waiting, onSuccess(n), onGiveUp(n, err).
+export function createReconnector({ connect, onAttempt, onSuccess, onGiveUp, ...opts }) {
+  const cfg = { ...RECONNECT_DEFAULTS, ...opts };
+  let timer = null;
+  let running = false;
+  let attempt = 0;
+
+  function schedule(lastErr) {
+    if (!running) return;
+    if (attempt >= cfg.maxAttempts) {
+      running = false;
+      onGiveUp?.(attempt, lastErr);
+      return;
+    }
+    attempt++;
+    const delay = backoffDelay(attempt, cfg);
+    onAttempt?.(attempt, delay);
+    timer = setTimeout(async () => {
+      timer = null;
+      if (!running) return;
+      try {
+        await connect();
+        if (!running) return;
+        running = false;
+        onSuccess?.(attempt);
+      } catch (err) {
+        schedule(err);
+      }
+    }, delay);
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      attempt = 0;
+      schedule(null);
+    },
+    cancel() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    get running() { return running; },
+    get attempt() { return attempt; },
+  };
+}
@@ -0,0 +1,142 @@
+// ── Session recorder ────────────────────────────────────────────────────────
+// Captures every raw BLE notification (host timestamp + stream ID + bytes)
+// and the samples decoded from it, independent of the chart buffers.
+
+export const RECORDING_FORMAT_VERSION = 1;
+
+// Decoded sample columns per stream. The host timestamp (ms) is always
+// first; deviceTime is seconds on the device clock since the connection's
+// first packet. Raw counts are kept next to the calibrated values.
+export const SAMPLE_COLUMNS = {
+  AFE: ["deviceTime", "tag", "channel", "value"],
+  IMU: [
+    "deviceTime",
+    "ax", "ay", "az", "gx", "gy", "gz",
+    "ax_g", "ay_g", "az_g", "gx_dps", "gy_dps", "gz_dps",
+  ],
+  TMP: ["deviceTime", "celsius"],
+  BAT: ["deviceTime", "mV", "volts", "percent"],
+  HFS: ["deviceTime", "value", "converted", "unit"],
+  HRM: ["deviceTime", "bpm", "contact", "energy", "rr"],
+  BAS: ["deviceTime", "percent"],
+  // Derived channels marked for recording (see @/lib/derived)
+  DERIVED: ["deviceTime", "channel", "value"],
+};
+
+export function bytesOf(dataView) {
+  return new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength).slice();
+}
+
+export function toHex(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i++) s += bytes[i].toString(16).padStart(2, "0");
+  return s;
+}
+
+export function fromHex(hex) {
+  const clean = hex.replace(/[^0-9a-f]/gi, "");
+  const out = new Uint8Array(clean.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(clean.substr(i * 2, 2), 16);
+  return out;
+}
+
+export function createRecorder() {
+  let recording = false;
+  let startedAt = null;
+  let stoppedAt = null;
+  let packets = [];
+  let samples = {};
+  let lastPacketTime = null;
+
+  function start() {
+    recording = true;
+    startedAt = Date.now();
+    stoppedAt = null;
+    packets = [];
+    samples = {};
+    lastPacketTime = null;
+  }
+
+  function stop() {
+    if (!recording) return;
+    recording = false;
+    stoppedAt = Date.now();
+  }
+
+  // Raw notification; decoded samples that follow are stamped with its time
+  function addPacket(stream, dataView, t = Date.now()) {
+    if (!recording) return;
+    lastPacketTime = t;
+    packets.push({ t, stream, bytes: bytesOf(dataView) });
+  }
+
+  function addSample(stream, values) {
+    if (!recording) return;
+    (samples[stream] ??= []).push({ t: lastPacketTime ?? Date.now(), ...values });
+  }
+
+  function session() {
+    return { startedAt, stoppedAt, packets, samples };
+  }
+
+  return {
+    start,
+    stop,
+    addPacket,
+    addSample,
+    session,
+    get recording() { return recording; },
+    get startedAt() { return startedAt; },
+    get packetCount() { return packets.length; },
+    get streams() { return Object.keys(samples); },
+  };
+}
+
+// ── Export formats ──────────────────────────────────────────────────────────
+// JSON-lines: a header line, then one {t, stream, hex} line per notification.
+// This is lossless and is the format the replay loader reads back.
+export function sessionToJsonl(session, meta = {}) {
+  const lines = [
+    JSON.stringify({
+      type: "session",
+      version: RECORDING_FORMAT_VERSION,
+      startedAt: session.startedAt,
+      stoppedAt: session.stoppedAt,
+      ...meta,
+    }),
+  ];
+  for (const p of session.packets) {
+    lines.push(JSON.stringify({ t: p.t, stream: p.stream, hex: toHex(p.bytes) }));
+  }
+  return lines.join("\n") + "\n";
+}
+
+export function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function samplesToCsv(stream, rows) {
+  const cols = SAMPLE_COLUMNS[stream] ?? Object.keys(rows[0] ?? {}).filter((k) => k !== "t");
+  const header = ["t", ...cols].join(",");
+  const body = rows.map((r) => ["t", ...cols].map((k) => csvCell(r[k])).join(","));
+  return [header, ...body].join("\n") + "\n";
+}
+
+export function sessionFileStem(session) {
+  const d = new Date(session.startedAt ?? Date.now());
+  const pad = (n) => String(n).padStart(2, "0");
+  return `hrpc_${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+export function downloadText(filename, text, mime = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
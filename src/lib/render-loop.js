@@ -0,0 +1,82 @@
+// ── Frame-batched chart redraws ─────────────────────────────────────────────
+// Packets only mark their charts dirty; one animation frame redraws each dirty
+// chart once, however many packets arrived since the last frame. The loop also
+// keeps the numbers behind the performance overlay.
+//
+// draw(key) redraws one chart and returns the number of points it drew.
+
+export function createRenderLoop(draw) {
+  const dirty = new Set();
+  let frame = null;
+  let acc = emptyStats();
+  const points = new Map(); // chart → points in its latest redraw
+
+  // Page frame times, sampled only while someone is watching
+  let probe = null;
+  let lastFrameAt = null;
+
+  function emptyStats() {
+    return { since: performance.now(), redraws: 0, drawMs: 0, drawMaxMs: 0, samples: 0, frames: [] };
+  }
+
+  function flush() {
+    frame = null;
+    const t0 = performance.now();
+    const keys = [...dirty];
+    dirty.clear();
+    for (const key of keys) points.set(key, draw(key) ?? 0);
+    const ms = performance.now() - t0;
+    acc.redraws++;
+    acc.drawMs += ms;
+    acc.drawMaxMs = Math.max(acc.drawMaxMs, ms);
+  }
+
+  function tick(now) {
+    if (lastFrameAt != null) acc.frames.push(now - lastFrameAt);
+    lastFrameAt = now;
+    probe = requestAnimationFrame(tick);
+  }
+
+  function measure(on) {
+    if (on && probe == null) probe = requestAnimationFrame(tick);
+    if (!on && probe != null) {
+      cancelAnimationFrame(probe);
+      probe = null;
+      lastFrameAt = null;
+    }
+  }
+
+  return {
+    invalidate(key) {
+      dirty.add(key);
+      if (frame == null) frame = requestAnimationFrame(flush);
+    },
+    countSamples(n) {
+      acc.samples += n;
+    },
+    measure,
+    // Averages since the previous snapshot
+    snapshot() {
+      const a = acc;
+      acc = emptyStats();
+      const sec = Math.max(1e-3, (performance.now() - a.since) / 1000);
+      const frameMs = a.frames.length > 0 ? a.frames.reduce((s, v) => s + v, 0) / a.frames.length : null;
+      return {
+        fps: frameMs ? 1000 / frameMs : null,
+        frameMs,
+        frameMaxMs: a.frames.length > 0 ? Math.max(...a.frames) : null,
+        redrawsPerSec: a.redraws / sec,
+        drawMs: a.redraws > 0 ? a.drawMs / a.redraws : null,
+        drawMaxMs: a.drawMaxMs,
+        samplesPerSec: a.samples / sec,
+        points: [...points.values()].reduce((s, v) => s + v, 0),
+      };
+    },
+    stop() {
+      if (frame != null) cancelAnimationFrame(frame);
+      frame = null;
+      dirty.clear();
+      measure(false);
+    },
+  };
+}
@@ -0,0 +1,138 @@
+// ── Capture replay ──────────────────────────────────────────────────────────
+// Loads a packet capture and plays it back through a virtual GATT device.
+
+import { fromHex } from "./recorder";
+import { createStreamDevice } from "./virtual-gatt";
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const TICK_MS = 20;
+const PROGRESS_MS = 250; // throttle progress callbacks (they re-render the page)
+
+// Accepts the recorder's JSON-lines export, or plain text with one
+// notification per line: "<host ms> <stream> <hex>" (comma, tab or space
+// separated). Blank lines and "#" comments are ignored.
+export function parseCapture(text) {
+  const packets = [];
+  let meta = {};
+  const lines = text.split(/\r?\n/);
+
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    if (line.startsWith("{")) {
+      let obj;
+      try {
+        obj = JSON.parse(line);
+      } catch {
+        throw new Error(`Line ${n + 1}: invalid JSON`);
+      }
+      if (obj.type === "session") {
+        meta = obj;
+        continue;
+      }
+      if (obj.t == null || !obj.stream || typeof obj.hex !== "string") {
+        throw new Error(`Line ${n + 1}: expected {t, stream, hex}`);
+      }
+      packets.push({ t: Number(obj.t), stream: String(obj.stream).toUpperCase(), bytes: fromHex(obj.hex) });
+      continue;
+    }
+
+    const parts = line.split(/[\s,;]+/);
+    if (parts.length < 3) throw new Error(`Line ${n + 1}: expected "timestamp stream hex"`);
+    const t = Number(parts[0]);
+    if (!Number.isFinite(t)) {
+      if (packets.length === 0) continue; // header row
+      throw new Error(`Line ${n + 1}: bad timestamp "${parts[0]}"`);
+    }
+    packets.push({ t, stream: parts[1].toUpperCase(), bytes: fromHex(parts.slice(2).join("")) });
+  }
+
+  if (packets.length === 0) throw new Error("Capture contains no packets");
+  packets.sort((a, b) => a.t - b.t);
+  return { meta, packets };
+}
+
+export function createReplayDevice(streams, name = "Replay") {
+  return createStreamDevice({ name, id: `replay:${name}`, streams });
+}
+
+export function createReplayPlayer(capture, device, streams, { onProgress, onEnd } = {}) {
+  const { packets } = capture;
+  const t0 = packets[0].t;
+  const duration = packets[packets.length - 1].t - t0;
+
+  let position = 0; // ms from start of capture
+  let index = 0; // next packet to emit
+  let speed = 1;
+  let timer = null;
+  let lastTick = 0;
+  let lastProgress = 0;
+
+  function indexAt(pos) {
+    const target = t0 + pos;
+    let lo = 0, hi = packets.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (packets[mid].t < target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function emitUntil(pos) {
+    const limit = t0 + pos;
+    while (index < packets.length && packets[index].t <= limit) {
+      const p = packets[index++];
+      const s = streams[p.stream];
+      if (s) device.emit(s.characteristic, p.bytes, p.t);
+    }
+  }
+
+  function tick() {
+    const now = performance.now();
+    position = Math.min(duration, position + (now - lastTick) * speed);
+    lastTick = now;
+    emitUntil(position);
+    const ended = index >= packets.length;
+    if (ended || now - lastProgress >= PROGRESS_MS) {
+      lastProgress = now;
+      onProgress?.(position);
+    }
+    if (ended) {
+      pause();
+      onEnd?.();
+    }
+  }
+
+  function play() {
+    if (timer) return;
+    if (index >= packets.length) seek(0);
+    lastTick = performance.now();
+    timer = setInterval(tick, TICK_MS);
+  }
+
+  function pause() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function seek(pos) {
+    position = Math.max(0, Math.min(duration, pos));
+    index = indexAt(position);
+    onProgress?.(position);
+  }
+
+  return {
+    play,
+    pause,
+    seek,
+    setSpeed(s) { speed = s; },
+    dispose: pause,
+    duration,
+    packetCount: packets.length,
+    get position() { return position; },
+    get playing() { return timer != null; },
+  };
+}
@@ -0,0 +1,111 @@
+// ── Sample ring buffers ─────────────────────────────────────────────────────
+// One chart series: x (device seconds) and y in Float64Arrays, oldest first;
+// y is 64-bit so u32 counts (PPG, HFS) past 2^24 stay exact.
+// Samples older than retainSec behind the newest are dropped as new ones
+// arrive; the ring doubles while everything it holds is still retained, so
+// capacity follows the sample rate. A gap is stored as y = NaN and drawn as
+// a break in the line.
+
+const INITIAL_CAPACITY = 1024;
+
+export function createSeriesBuffer(retainSec) {
+  let xs = new Float64Array(INITIAL_CAPACITY);
+  let ys = new Float64Array(INITIAL_CAPACITY);
+  let head = 0; // physical index of the oldest sample
+  let length = 0;
+
+  const at = (i) => (head + i) % xs.length;
+
+  function grow() {
+    const nx = new Float64Array(xs.length * 2);
+    const ny = new Float64Array(ys.length * 2);
+    for (let i = 0; i < length; i++) {
+      nx[i] = xs[at(i)];
+      ny[i] = ys[at(i)];
+    }
+    xs = nx;
+    ys = ny;
+    head = 0;
+  }
+
+  // First logical index with x >= t
+  function lowerBound(t) {
+    let lo = 0, hi = length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (xs[at(mid)] < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function push(x, y) {
+    while (length > 0 && x - xs[head] > retainSec) {
+      head = (head + 1) % xs.length;
+      length--;
+    }
+    if (length === xs.length) grow();
+    const i = at(length);
+    xs[i] = x;
+    ys[i] = y == null ? NaN : y;
+    length++;
+  }
+
+  // Points for a chart showing [min, max] at most maxPoints wide, plus one
+  // point either side so the line reaches the edges. Wider spans keep each
+  // bucket's min and max so peaks survive decimation.
+  function window(min = -Infinity, max = Infinity, maxPoints = Infinity) {
+    const from = Math.max(0, lowerBound(min) - 1);
+    const to = Math.min(length, lowerBound(max) + 1);
+    const count = to - from;
+    const point = (i) => {
+      const y = ys[at(i)];
+      return { x: xs[at(i)], y: Number.isNaN(y) ? null : y };
+    };
+    const out = [];
+    if (count <= maxPoints) {
+      for (let i = from; i < to; i++) out.push(point(i));
+      return out;
+    }
+    const buckets = Math.max(1, Math.floor(maxPoints / 2));
+    const size = count / buckets;
+    for (let b = 0; b < buckets; b++) {
+      const start = from + Math.floor(b * size);
+      const end = Math.min(to, from + Math.floor((b + 1) * size));
+      let lo = -1, hi = -1, gap = -1;
+      for (let i = start; i < end; i++) {
+        const y = ys[at(i)];
+        if (Number.isNaN(y)) gap = i;
+        else {
+          if (lo < 0 || y < ys[at(lo)]) lo = i;
+          if (hi < 0 || y > ys[at(hi)]) hi = i;
+        }
+      }
+      const picks = [...new Set([lo, hi, gap])].filter((i) => i >= 0).sort((a, b) => a - b);
+      for (const i of picks) out.push(point(i));
+    }
+    return out;
+  }
+
+  return {
+    push,
+    window,
+    clear() {
+      head = 0;
+      length = 0;
+    },
+    get length() {
+      return length;
+    },
+    x: (i) => xs[at(i)],
+    y: (i) => {
+      const y = ys[at(i)];
+      return Number.isNaN(y) ? null : y;
+    },
+    lastX: () => (length > 0 ? xs[at(length - 1)] : null),
+    lastY() {
+      for (let i = length - 1; i >= 0; i--) if (!Number.isNaN(ys[at(i)])) return ys[at(i)];
+      return null;
+    },
+  };
+}
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSeriesBuffer } from "./ring-buffer";
+
+test("u32 values past 2^24 are stored exactly", () => {
+  const buf = createSeriesBuffer(10);
+  buf.push(0, 16777217);
+  buf.push(0.01, 4294967295);
+  assert.deepEqual(buf.window(), [
+    { x: 0, y: 16777217 },
+    { x: 0.01, y: 4294967295 },
+  ]);
+  assert.equal(buf.lastY(), 4294967295);
+});
+
+test("gaps read back as null and old samples are dropped", () => {
+  const buf = createSeriesBuffer(1);
+  buf.push(0, 1);
+  buf.push(0.5, null);
+  buf.push(1.5, 2);
+  assert.equal(buf.length, 2);
+  assert.equal(buf.y(0), null);
+  assert.equal(buf.lastY(), 2);
+});
@@ -0,0 +1,53 @@
+// ── Session library client ──────────────────────────────────────────────────
+// Thin fetch wrappers around /api/sessions; failures throw with the server's
+// error message.
+
+const BASE = "/api/sessions";
+
+async function request(url, init) {
+  const res = await fetch(url, init);
+  if (res.status === 204) return null;
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(body?.error ?? `${res.status} ${res.statusText}`);
+  return body;
+}
+
+const json = (method, data) => ({
+  method,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(data),
+});
+
+export async function listSessions({ q = "", tag = "" } = {}) {
+  const params = new URLSearchParams();
+  if (q) params.set("q", q);
+  if (tag) params.set("tag", tag);
+  return (await request(`${BASE}?${params}`)).sessions;
+}
+
+// payload: { capture, name?, tags?, notes?, deviceInfo?, markers? }
+export async function uploadSession(payload) {
+  return (await request(BASE, json("POST", payload))).session;
+}
+
+export async function getSession(id) {
+  return (await request(`${BASE}/${encodeURIComponent(id)}`)).session;
+}
+
+export async function updateSession(id, patch) {
+  return (await request(`${BASE}/${encodeURIComponent(id)}`, json("PATCH", patch))).session;
+}
+
+export async function deleteSession(id) {
+  await request(`${BASE}/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export function captureUrl(id, { download = false } = {}) {
+  return `${BASE}/${encodeURIComponent(id)}/capture${download ? "?download=1" : ""}`;
+}
+
+export async function fetchCapture(id) {
+  const res = await fetch(captureUrl(id));
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `${res.status} ${res.statusText}`);
+  return res.text();
+}
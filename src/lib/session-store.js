@@ -0,0 +1,154 @@
+// ── Session library storage (server only) ───────────────────────────────────
+// Uploaded recording sessions live on local disk, one directory per session:
+//
+//   <HRPC_SESSIONS_DIR or ./.data/sessions>/<id>/
+//     meta.json       name, device, device info, streams, tags, notes, ...
+//     capture.jsonl   the recorder's lossless packet export (replayable)
+//     markers.json    event markers (see @/lib/markers)
+//
+// Used by the /api/sessions route handlers; never import it from the client.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { parseCapture } from "./replay";
+import { httpError } from "./http-error";
+
+const ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+const MAX_TAGS = 20;
+
+function rootDir() {
+  return process.env.HRPC_SESSIONS_DIR || path.join(process.cwd(), ".data", "sessions");
+}
+
+function sessionDir(id) {
+  if (!ID_PATTERN.test(String(id))) throw httpError("Invalid session id");
+  return path.join(rootDir(), id);
+}
+
+function cleanTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map((t) => String(t).trim()).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// For listings: a damaged session is logged and left out instead of failing
+// the whole library
+async function readListedMeta(id) {
+  try {
+    const meta = await readJson(path.join(rootDir(), id, "meta.json"), null);
+    if (meta === null) return null;
+    if (typeof meta !== "object" || Array.isArray(meta)) throw new Error("not an object");
+    return { ...meta, tags: cleanTags(meta.tags) };
+  } catch (err) {
+    console.warn(`Session ${id}: unreadable meta.json (${err.message})`);
+    return null;
+  }
+}
+
+async function writeMeta(id, meta) {
+  await fs.writeFile(path.join(sessionDir(id), "meta.json"), JSON.stringify(meta, null, 2));
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+// q matches name, device, notes, tags and device information; tag must match
+// one of the session's tags exactly. Newest first.
+export async function listSessions({ q = "", tag = "" } = {}) {
+  let ids;
+  try {
+    ids = await fs.readdir(rootDir());
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const metas = await Promise.all(ids.filter((id) => ID_PATTERN.test(id)).map(readListedMeta));
+  const needle = q.trim().toLowerCase();
+  return metas
+    .filter(Boolean)
+    .filter((m) => !tag || m.tags.includes(tag))
+    .filter((m) => {
+      if (!needle) return true;
+      const haystack = [m.name, m.device, m.notes, ...m.tags, ...Object.values(m.deviceInfo ?? {})];
+      return haystack.some((v) => String(v ?? "").toLowerCase().includes(needle));
+    })
+    .sort((a, b) => (b.startedAt ?? b.uploadedAt) - (a.startedAt ?? a.uploadedAt));
+}
+
+export async function getSession(id) {
+  const dir = sessionDir(id);
+  const meta = await readJson(path.join(dir, "meta.json"), null);
+  if (!meta) throw httpError("Session not found", 404);
+  return { ...meta, markers: await readJson(path.join(dir, "markers.json"), []) };
+}
+
+export async function readCapture(id) {
+  const meta = await getSession(id);
+  return { meta, text: await fs.readFile(path.join(sessionDir(id), "capture.jsonl"), "utf8") };
+}
+
+// ── Mutations ───────────────────────────────────────────────────────────────
+// body: { capture (JSON-lines text), name?, tags?, notes?, deviceInfo?, markers? }
+export async function createSession(body) {
+  if (typeof body?.capture !== "string" || body.capture.length === 0) {
+    throw httpError("Missing capture");
+  }
+  let capture;
+  try {
+    capture = parseCapture(body.capture);
+  } catch (err) {
+    throw httpError(`Invalid capture: ${err.message}`);
+  }
+  if (capture.packets.length === 0) throw httpError("Capture has no packets");
+
+  const id = randomUUID();
+  const packets = capture.packets;
+  const startedAt = capture.meta.startedAt ?? packets[0].t;
+  const meta = {
+    id,
+    name: String(body.name ?? "").trim() || `Session ${new Date(startedAt).toISOString()}`,
+    device: capture.meta.device ?? null,
+    deviceInfo: body.deviceInfo && typeof body.deviceInfo === "object" ? body.deviceInfo : null,
+    startedAt,
+    durationMs: packets[packets.length - 1].t - packets[0].t,
+    uploadedAt: Date.now(),
+    streams: [...new Set(packets.map((p) => p.stream))],
+    packets: packets.length,
+    sizeBytes: Buffer.byteLength(body.capture),
+    tags: cleanTags(body.tags),
+    notes: String(body.notes ?? ""),
+    markerCount: Array.isArray(body.markers) ? body.markers.length : 0,
+  };
+
+  const dir = sessionDir(id);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, "capture.jsonl"), body.capture);
+  await fs.writeFile(path.join(dir, "markers.json"), JSON.stringify(Array.isArray(body.markers) ? body.markers : []));
+  await writeMeta(id, meta);
+  return meta;
+}
+
+// patch: { name?, tags?, notes? }
+export async function updateSession(id, patch = {}) {
+  const { markers: _, ...meta } = await getSession(id);
+  const next = {
+    ...meta,
+    ...(patch.name != null && { name: String(patch.name).trim() || meta.name }),
+    ...(patch.tags != null && { tags: cleanTags(patch.tags) }),
+    ...(patch.notes != null && { notes: String(patch.notes) }),
+  };
+  await writeMeta(id, next);
+  return next;
+}
+
+export async function deleteSession(id) {
+  await getSession(id);
+  await fs.rm(sessionDir(id), { recursive: true, force: true });
+}
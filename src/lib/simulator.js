@@ -0,0 +1,265 @@
+// ── Simulated HRPC device ───────────────────────────────────────────────────
+// Generates AFE / IMU / TMP / BAT / HFS notifications with the protocol
+// encoders and emits them through a virtual GATT device. Also answers the
+// control channel, so LED currents, rates, IMU ranges and stream enables
+// set from the page change what it sends.
+
+import { createStreamDevice } from "./virtual-gatt";
+import {
+  PPG_CHANNELS,
+  PPG_SAMPLES_PER_PACKET,
+  encodeAFE,
+  encodeIMU,
+  encodeTMP,
+  encodeBAT,
+  encodeHFS,
+} from "./protocol";
+import { CONTROL_SERVICE_UUID, CONTROL_CHAR_UUID, DEFAULT_DEVICE_CONFIG, handleCommand } from "./control";
+import { DEVICE_INFO_SERVICE_UUID, DEVICE_INFO_FIELDS, encodeHeartRateMeasurement } from "./gatt-standard";
+
+export const DEFAULT_SIM_CONFIG = {
+  heartRate: 72, // bpm
+  spo2: 97, // %
+  motion: 0, // 0 (still) … 1 (vigorous arm swing)
+  noise: 0.2, // 0 … 1, relative to the pulse amplitude
+  temperature: 33.5, // °C skin
+  battery: 100, // % at connect
+  batteryDrain: 1, // % per minute with every stream enabled
+};
+
+// Stream rates chosen to look like the board on a bench; PPG and IMU rates
+// come from the device configuration
+const IMU_PAIRS_PER_PACKET = 5;
+const TMP_RATE = 1;
+const BAT_RATE = 1;
+const HFS_RATE = 10;
+const TICK_MS = 20;
+const ACK_DELAY_MS = 15;
+const HRM_RATE = 1; // standard Heart Rate Measurement, like a chest strap
+
+// Share of batteryDrain drawn by the board itself and by each enabled stream
+const DRAIN_BASE = 0.2;
+const DRAIN_SHARE = { AFE: 0.35, IMU: 0.25, TMP: 0.05, BAT: 0.02, HFS: 0.13 };
+
+export const SIM_DEVICE_INFO = {
+  manufacturer: "HRPC",
+  model: "HRPC Simulator",
+  serial: "SIM-0001",
+  hardware: "B",
+  firmware: "1.0.0",
+  software: "sim",
+};
+
+const PPG_DC = [220000, 160000, 190000, 18000]; // Green, Red, IR, Ambient
+const PPG_AC = [0.02, 0.0075, 0.015, 0]; // pulsatile fraction of DC
+
+const INT16_FULL_SCALE = 32768;
+
+// ── Signal models ───────────────────────────────────────────────────────────
+function gauss() {
+  // Box-Muller
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// One cardiac cycle, phase 0…1: systolic peak plus a dicrotic wave
+function pulseShape(phase) {
+  const g = (mu, s) => Math.exp(-((phase - mu) ** 2) / (2 * s * s));
+  return g(0.18, 0.07) + 0.35 * g(0.45, 0.08);
+}
+
+// Ratio-of-ratios for a target SpO2 (inverse of SpO2 ≈ 110 − 25·R)
+function redAcFor(spo2) {
+  const r = Math.max(0.2, (110 - spo2) / 25);
+  return PPG_AC[2] * r;
+}
+
+function batteryMilliVolts(percent) {
+  // Rough Li-ion curve: 3.30 V empty, 4.20 V full, flatter in the middle
+  const p = Math.max(0, Math.min(100, percent)) / 100;
+  return 3300 + 900 * (0.15 * p + 0.85 * Math.pow(p, 0.6));
+}
+
+// ── Simulator ───────────────────────────────────────────────────────────────
+export function createSimulatorDevice(streams, name = "HRPC Simulator") {
+  const device = createStreamDevice({
+    name,
+    id: "simulator",
+    streams,
+    extra: {
+      [CONTROL_SERVICE_UUID]: [CONTROL_CHAR_UUID],
+      [DEVICE_INFO_SERVICE_UUID]: DEVICE_INFO_FIELDS.map((f) => f.uuid),
+    },
+  });
+  const encoder = new TextEncoder();
+  for (const { key, uuid } of DEVICE_INFO_FIELDS) device.setValue(uuid, encoder.encode(SIM_DEVICE_INFO[key]));
+  return device;
+}
+
+export function createSimulator(device, streams, initialConfig = {}) {
+  let config = { ...DEFAULT_SIM_CONFIG, ...initialConfig };
+  let timer = null;
+  let t0 = 0;
+  let battery = config.battery;
+  let lastBatteryT = 0;
+
+  let deviceConfig = DEFAULT_DEVICE_CONFIG;
+
+  // Sample counters per stream (sample index n is due at base + n / rate
+  // seconds; base moves when a rate is changed)
+  const sent = { ppg: 0, imu: 0, tmp: 0, bat: 0, hfs: 0, hrm: 0 };
+  const base = { ppg: 0, imu: 0 };
+  let beatPhase = 0;
+  let lastPpgT = 0;
+  let ppgTag = 0;
+  let ppgPending = [];
+  let hfsLevel = 500000;
+
+  function motionAt(t) {
+    const m = config.motion;
+    if (m <= 0) return { x: 0, y: 0, z: 0, w: 0 };
+    const f = 1.4; // Hz, roughly a walking arm swing
+    const s = Math.sin(2 * Math.PI * f * t);
+    const c = Math.cos(2 * Math.PI * f * t);
+    return {
+      x: m * 0.9 * s,
+      y: m * 0.4 * Math.sin(2 * Math.PI * 2 * f * t),
+      z: m * 0.3 * c,
+      w: m * 180 * c, // deg/s
+    };
+  }
+
+  function emit(stream, dv) {
+    const s = streams[stream];
+    if (s && deviceConfig.streams[stream] !== false) device.emit(s.characteristic, dv);
+  }
+
+  function ppgSample(tag, t) {
+    // Received light scales with LED drive current; Ambient has no LED
+    const led = deviceConfig.ledCurrents[tag];
+    const dc = led == null ? PPG_DC[tag] : PPG_DC[tag] * (led / DEFAULT_DEVICE_CONFIG.ledCurrents[tag]);
+    const ac = tag === 1 ? redAcFor(config.spo2) : PPG_AC[tag];
+    const mot = motionAt(t);
+    const artifact = (mot.x + 0.5 * mot.y) * 0.04; // fraction of DC
+    const noise = config.noise * ac * 0.5 * gauss() + 0.0005 * gauss();
+    const wander = 0.003 * Math.sin(2 * Math.PI * 0.25 * t); // respiration
+    return dc * (1 - ac * pulseShape(beatPhase) + artifact + noise + wander);
+  }
+
+  function generate(t) {
+    // PPG: channels sampled round-robin, 10 tagged samples per packet
+    const ppgStep = 1 / (deviceConfig.ppgRate * PPG_CHANNELS);
+    while (base.ppg + (sent.ppg + 1) * ppgStep <= t) {
+      const ts = base.ppg + sent.ppg * ppgStep;
+      beatPhase = (beatPhase + (ts - lastPpgT) * (config.heartRate / 60)) % 1;
+      lastPpgT = ts;
+      ppgPending.push({ tag: ppgTag, value: ppgSample(ppgTag, ts) });
+      ppgTag = (ppgTag + 1) % PPG_CHANNELS;
+      sent.ppg++;
+      if (ppgPending.length === PPG_SAMPLES_PER_PACKET) {
+        emit("AFE", encodeAFE(ts * 1000, ppgPending));
+        ppgPending = [];
+      }
+    }
+
+    // IMU: interleaved accel/gyro pairs
+    const imuRate = deviceConfig.imuOdr;
+    const lsbPerG = INT16_FULL_SCALE / deviceConfig.accelRange;
+    const lsbPerDps = INT16_FULL_SCALE / deviceConfig.gyroRange;
+    while (base.imu + (sent.imu + IMU_PAIRS_PER_PACKET) / imuRate <= t) {
+      const pairs = [];
+      for (let i = 0; i < IMU_PAIRS_PER_PACKET; i++) {
+        const ts = base.imu + (sent.imu + i) / imuRate;
+        const m = motionAt(ts);
+        const n = 0.004 + config.noise * 0.01;
+        pairs.push({
+          ax: (m.x + n * gauss()) * lsbPerG,
+          ay: (m.y + n * gauss()) * lsbPerG,
+          az: (1 + m.z + n * gauss()) * lsbPerG,
+          gx: (m.w + 0.5 * gauss()) * lsbPerDps,
+          gy: (0.3 * m.w + 0.5 * gauss()) * lsbPerDps,
+          gz: (0.1 * m.w + 0.5 * gauss()) * lsbPerDps,
+        });
+      }
+      sent.imu += IMU_PAIRS_PER_PACKET;
+      emit("IMU", encodeIMU((base.imu + sent.imu / imuRate) * 1000, pairs));
+    }
+
+    while ((sent.tmp + 1) / TMP_RATE <= t) {
+      sent.tmp++;
+      const c = config.temperature + 0.05 * gauss() + 0.1 * config.motion;
+      emit("TMP", encodeTMP((sent.tmp / TMP_RATE) * 1000, c));
+    }
+
+    while ((sent.bat + 1) / BAT_RATE <= t) {
+      sent.bat++;
+      const ts = sent.bat / BAT_RATE;
+      const share = Object.entries(DRAIN_SHARE).reduce(
+        (sum, [key, v]) => (deviceConfig.streams[key] !== false ? sum + v : sum),
+        DRAIN_BASE
+      );
+      battery = Math.max(0, battery - ((ts - lastBatteryT) / 60) * config.batteryDrain * share);
+      lastBatteryT = ts;
+      const mV = batteryMilliVolts(battery) + 5 * gauss();
+      emit("BAT", encodeBAT(ts * 1000, mV, battery));
+    }
+
+    while ((sent.hfs + 1) / HFS_RATE <= t) {
+      sent.hfs++;
+      hfsLevel += 200 * gauss() + 2000 * config.motion * gauss();
+      hfsLevel += (500000 - hfsLevel) * 0.02; // slowly returns to baseline
+      emit("HFS", encodeHFS((sent.hfs / HFS_RATE) * 1000, hfsLevel + 1000 * config.noise * gauss()));
+    }
+
+    while ((sent.hrm + 1) / HRM_RATE <= t) {
+      sent.hrm++;
+      const rr = 60000 / config.heartRate;
+      emit("HRM", encodeHeartRateMeasurement(config.heartRate + 0.5 * gauss(), [rr + 10 * gauss()]));
+    }
+  }
+
+  // Rate changes take effect from the next sample
+  function configure(next) {
+    if (next.ppgRate !== deviceConfig.ppgRate) {
+      base.ppg += sent.ppg / (deviceConfig.ppgRate * PPG_CHANNELS);
+      sent.ppg = 0;
+    }
+    if (next.imuOdr !== deviceConfig.imuOdr) {
+      base.imu += sent.imu / deviceConfig.imuOdr;
+      sent.imu = 0;
+    }
+    deviceConfig = next;
+  }
+
+  device.onWrite(CONTROL_CHAR_UUID, (dv) => {
+    const { config: next, response } = handleCommand(deviceConfig, dv);
+    configure(next);
+    if (response) setTimeout(() => device.emit(CONTROL_CHAR_UUID, response), ACK_DELAY_MS);
+  });
+
+  function start() {
+    if (timer) return;
+    t0 = performance.now();
+    timer = setInterval(() => generate((performance.now() - t0) / 1000), TICK_MS);
+  }
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function update(patch) {
+    config = { ...config, ...patch };
+    if (patch.battery != null) battery = patch.battery;
+  }
+
+  return {
+    start,
+    stop,
+    update,
+    get config() { return config; },
+    get deviceConfig() { return deviceConfig; },
+    get running() { return timer != null; },
+  };
+}
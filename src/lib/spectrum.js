@@ -0,0 +1,167 @@
+// ── Spectral analysis ───────────────────────────────────────────────────────
+// Welch power spectral density and spectrogram columns for one series of the
+// chart buffers (PPG channel or IMU axis). Samples are resampled onto a
+// uniform grid at the series' own rate first, so packet jitter and short
+// gaps do not smear the spectrum.
+
+import { STREAM_BY_KEY } from "./streams";
+
+// Series worth a spectrum: "<stream>.<series>" like the alarm channels
+export const SPECTRUM_SOURCES = [
+  ...STREAM_BY_KEY.AFE.series.map((s) => ({ value: `AFE.${s.key}`, label: `PPG ${s.label}` })),
+  ...STREAM_BY_KEY.IMU.series.map((s) => ({ value: `IMU.${s.key}`, label: `IMU ${s.label}` })),
+];
+
+export const SEGMENT_SIZES = [128, 256, 512, 1024, 2048];
+export const OVERLAPS = [0, 0.25, 0.5, 0.75];
+export const WELCH_SEGMENTS = 8; // segments averaged for the PSD when available
+
+// In-place radix-2 FFT; re.length must be a power of two
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+export function hann(n) {
+  const w = new Float64Array(n);
+  for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+  return w;
+}
+
+// Sample rate (Hz) from the median spacing of [{ x, y }], to 0.1 Hz so the
+// spectrogram grid stays put; null when unknown
+export function estimateRate(points) {
+  const dts = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].y == null || points[i - 1].y == null) continue;
+    const dt = points[i].x - points[i - 1].x;
+    if (dt > 0) dts.push(dt);
+  }
+  if (dts.length < 8) return null;
+  dts.sort((a, b) => a - b);
+  return Math.round(10 / dts[dts.length >> 1]) / 10;
+}
+
+// Values at x = k / fs for k in [first, first + count): linear between
+// neighbours, holding the last value across gaps
+export function resample(points, fs, first, count) {
+  const out = new Float64Array(count);
+  let j = 0;
+  let last = null;
+  for (let k = 0; k < count; k++) {
+    const t = (first + k) / fs;
+    while (j < points.length && points[j].x <= t) {
+      if (points[j].y != null) last = points[j];
+      j++;
+    }
+    const next = points[j];
+    if (last && next && next.y != null && next.x > last.x) {
+      out[k] = last.y + ((next.y - last.y) * (t - last.x)) / (next.x - last.x);
+    } else {
+      out[k] = last?.y ?? next?.y ?? 0;
+    }
+  }
+  return out;
+}
+
+// One-sided power spectral density (units²/Hz) of a segment: mean removed,
+// window applied, size / 2 + 1 bins
+export function periodogram(signal, start, window, fs) {
+  const n = window.length;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += signal[start + i];
+  mean /= n;
+  let wss = 0;
+  for (let i = 0; i < n; i++) {
+    re[i] = (signal[start + i] - mean) * window[i];
+    wss += window[i] * window[i];
+  }
+  fft(re, im);
+  const bins = n / 2 + 1;
+  const psd = new Float64Array(bins);
+  for (let k = 0; k < bins; k++) {
+    const p = (re[k] * re[k] + im[k] * im[k]) / (fs * wss);
+    psd[k] = k === 0 || k === n / 2 ? p : 2 * p;
+  }
+  return psd;
+}
+
+export function binFrequencies(size, fs) {
+  return Float64Array.from({ length: size / 2 + 1 }, (_, k) => (k * fs) / size);
+}
+
+// Welch average over the latest segments of signal; null when shorter than one
+export function welch(signal, fs, size, overlap) {
+  const hop = Math.max(1, Math.round(size * (1 - overlap)));
+  if (signal.length < size) return null;
+  const window = hann(size);
+  const psd = new Float64Array(size / 2 + 1);
+  let segments = 0;
+  for (let start = signal.length - size; start >= 0 && segments < WELCH_SEGMENTS; start -= hop) {
+    const p = periodogram(signal, start, window, fs);
+    for (let k = 0; k < psd.length; k++) psd[k] += p[k];
+    segments++;
+  }
+  for (let k = 0; k < psd.length; k++) psd[k] /= segments;
+  return { freqs: binFrequencies(size, fs), psd, segments };
+}
+
+// Strongest bin at or above minFreq, refined by parabolic interpolation
+export function dominantFrequency(freqs, psd, minFreq = 0) {
+  let best = -1;
+  for (let k = 1; k < psd.length - 1; k++) {
+    if (freqs[k] < minFreq) continue;
+    if (best < 0 || psd[k] > psd[best]) best = k;
+  }
+  if (best < 0 || psd[best] <= 0) return null;
+  const [a, b, c] = [psd[best - 1], psd[best], psd[best + 1]].map((p) => Math.log(Math.max(p, 1e-30)));
+  const den = a - 2 * b + c;
+  const shift = den === 0 ? 0 : Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / den));
+  return { freq: freqs[best] + shift * (freqs[1] - freqs[0]), power: psd[best] };
+}
+
+export function toDb(p) {
+  return 10 * Math.log10(Math.max(p, 1e-20));
+}
+
+// Spectrogram columns on a fixed grid: column c covers samples
+// [c·hop, c·hop + size) counted from x = 0, so columns keep their place as
+// new data arrives. signal holds samples first … first + length − 1.
+// → { freqs, columns: [{ t (end, s), psd, dominant }] }
+export function spectrogram(signal, fs, first, size, hop, minFreq = 0) {
+  const window = hann(size);
+  const freqs = binFrequencies(size, fs);
+  const columns = [];
+  for (let c = Math.ceil(first / hop); c * hop + size <= first + signal.length; c++) {
+    const psd = periodogram(signal, c * hop - first, window, fs);
+    columns.push({ t: (c * hop + size) / fs, psd, dominant: dominantFrequency(freqs, psd, minFreq) });
+  }
+  return { freqs, columns };
+}
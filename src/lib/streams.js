@@ -0,0 +1,225 @@
+// ── Stream registry ─────────────────────────────────────────────────────────
+// One entry per notification characteristic. Connection, subscription,
+// toggle buttons, status tags, recording and charts are all driven from this
+// table, so a new firmware characteristic only needs a new entry here.
+//
+//   key                        stream id (recorder, link stats, captures)
+//   service, characteristic    GATT UUIDs
+//   parse(dv, format)          @/lib/protocol parser → { timestamp, ... } | null;
+//                              format is the device's packet format version
+//   decode(pkt, conv)          → [{ row, values }] per sample: row is recorded
+//                              (see SAMPLE_COLUMNS), values maps series → y
+//   series                     [{ key, label, color, background? }]
+//   window                     seconds shown while following live data
+//   charts                     [{ id, title, unit?, series, selectable?, shadeMotion? }]
+//   readout(row)               status-bar text for the latest recorded row
+//   optional                   only offered when the device has the service
+//   fallbackFor                only offered when that stream is unavailable
+//   initialRead                read the value once after subscribing
+//   hostClock                  no device timestamp (standard SIG characteristics):
+//                              packets are timed by their host arrival time, or
+//                              a capture's own time on replay
+
+import { PPG_NAMES, parseAFE, parseIMU, parseTMP, parseBAT, parseHFS } from "./protocol";
+import {
+  HEART_RATE_SERVICE_UUID,
+  HEART_RATE_MEASUREMENT_CHAR_UUID,
+  BATTERY_SERVICE_UUID,
+  BATTERY_LEVEL_CHAR_UUID,
+  parseHeartRateMeasurement,
+  parseBatteryLevel,
+} from "./gatt-standard";
+import { createSeriesBuffer } from "./ring-buffer";
+
+const FAST_WINDOW_SEC = 12.8; // 1280 samples at 100 Hz
+const SLOW_WINDOW_SEC = 10;
+export const TREND_WINDOW_SEC = 600;
+
+// Scroll-back: every series keeps at least this much history
+export const RETAIN_SEC = 300;
+
+export const STREAM_DEFS = [
+  {
+    key: "AFE",
+    service: "12345678-1234-5678-1234-56789abc0000",
+    characteristic: "12345678-1234-5678-1234-56789abc0001",
+    parse: parseAFE,
+    // Unknown tags are recorded but not plotted
+    decode: (pkt) =>
+      pkt.samples.map((s) => ({ row: s, values: s.channel == null ? {} : { [s.channel]: s.value } })),
+    series: [
+      { key: PPG_NAMES[0], label: PPG_NAMES[0], color: "#16a34a", background: "rgba(22,163,74,0.08)" },
+      { key: PPG_NAMES[1], label: PPG_NAMES[1], color: "#dc2626", background: "rgba(220,38,38,0.08)" },
+      { key: PPG_NAMES[2], label: PPG_NAMES[2], color: "#0ea5e9", background: "rgba(14,165,233,0.08)" },
+      { key: PPG_NAMES[3], label: PPG_NAMES[3], color: "#f59e0b", background: "rgba(245,158,11,0.08)" },
+    ],
+    window: FAST_WINDOW_SEC,
+    charts: [
+      {
+        id: "ppg",
+        title: "PPG",
+        series: PPG_NAMES,
+        selectable: true,
+        defaultSeries: [PPG_NAMES[0]],
+        shadeMotion: true,
+      },
+    ],
+  },
+  {
+    key: "IMU",
+    service: "12345678-1234-5678-1234-56789abc1000",
+    characteristic: "12345678-1234-5678-1234-56789abc1001",
+    parse: parseIMU,
+    decode: (pkt, conv) =>
+      pkt.samples.map((raw) => {
+        const s = conv.imu(raw);
+        return {
+          row: {
+            ...raw,
+            ax_g: s.ax, ay_g: s.ay, az_g: s.az,
+            gx_dps: s.gx, gy_dps: s.gy, gz_dps: s.gz,
+          },
+          values: s,
+        };
+      }),
+    series: [
+      { key: "ax", label: "ax", color: "#1d4ed8" },
+      { key: "ay", label: "ay", color: "#10b981" },
+      { key: "az", label: "az", color: "#6b21a8" },
+      { key: "gx", label: "gx", color: "#ef4444" },
+      { key: "gy", label: "gy", color: "#f97316" },
+      { key: "gz", label: "gz", color: "#0ea5e9" },
+    ],
+    window: FAST_WINDOW_SEC,
+    charts: [
+      { id: "accel", title: "Accelerometer", unit: "g", series: ["ax", "ay", "az"] },
+      { id: "gyro", title: "Gyroscope", unit: "°/s", series: ["gx", "gy", "gz"] },
+    ],
+  },
+  {
+    key: "TMP",
+    service: "12345678-1234-5678-1234-56789abc2000",
+    characteristic: "12345678-1234-5678-1234-56789abc2001",
+    parse: parseTMP,
+    decode: (pkt) => [{ row: { celsius: pkt.celsius }, values: { celsius: pkt.celsius } }],
+    series: [{ key: "celsius", label: "°C", color: "#f59e0b", background: "rgba(245,158,11,0.10)" }],
+    window: SLOW_WINDOW_SEC,
+    charts: [{ id: "temp", title: "Temperature", unit: "°C", series: ["celsius"] }],
+    readout: (r) => `Current Temp: ${r.celsius.toFixed(2)} °C`,
+  },
+  {
+    key: "BAT",
+    service: "12345678-1234-5678-1234-56789abc3000",
+    characteristic: "12345678-1234-5678-1234-56789abc3001",
+    parse: parseBAT,
+    decode: (pkt, conv) => [
+      { row: { mV: pkt.mV, volts: conv.volts(pkt.mV), percent: pkt.percent }, values: { percent: pkt.percent } },
+    ],
+    series: [{ key: "percent", label: "%", color: "#10b981", background: "rgba(16,185,129,0.10)" }],
+    window: SLOW_WINDOW_SEC,
+    charts: [{ id: "bat", title: "Battery", unit: "%", series: ["percent"] }],
+    readout: (r) => `Battery: ${r.percent} % (${r.volts.toFixed(3)} V)`,
+  },
+  {
+    key: "HFS",
+    service: "12345678-1234-5678-1234-56789abc4000",
+    characteristic: "12345678-1234-5678-1234-56789abc4001",
+    parse: parseHFS,
+    decode: (pkt, conv) => {
+      const converted = conv.hfs(pkt.value);
+      return [{ row: { value: pkt.value, converted, unit: conv.hfsUnit }, values: { converted } }];
+    },
+    series: [{ key: "converted", label: "Val", color: "#8b5cf6", background: "rgba(139,92,246,0.10)" }],
+    window: SLOW_WINDOW_SEC,
+    // Unit follows the device's calibration profile
+    charts: [{ id: "hfs", title: "HFS", unit: (profile) => profile.hfs.unit, series: ["converted"] }],
+    readout: (r) => `HFS: ${+r.converted.toFixed(3)} ${r.unit}`,
+  },
+  {
+    key: "HRM",
+    service: HEART_RATE_SERVICE_UUID,
+    characteristic: HEART_RATE_MEASUREMENT_CHAR_UUID,
+    optional: true,
+    hostClock: true,
+    parse: parseHeartRateMeasurement,
+    decode: (pkt) => [
+      {
+        row: { bpm: pkt.bpm, contact: pkt.contact, energy: pkt.energy, rr: pkt.rr.map(Math.round).join(";") },
+        values: { bpm: pkt.bpm },
+      },
+    ],
+    series: [{ key: "bpm", label: "bpm", color: "#be123c", background: "rgba(190,18,60,0.08)" }],
+    window: TREND_WINDOW_SEC,
+    charts: [{ id: "hrm", title: "Heart rate (strap)", unit: "bpm", series: ["bpm"] }],
+    readout: (r) =>
+      `Strap HR: ${r.bpm} bpm${r.rr ? ` · RR ${r.rr.split(";").at(-1)} ms` : ""}${r.contact === false ? " · no contact" : ""}`,
+  },
+  {
+    key: "BAS",
+    service: BATTERY_SERVICE_UUID,
+    characteristic: BATTERY_LEVEL_CHAR_UUID,
+    optional: true,
+    fallbackFor: "BAT",
+    initialRead: true, // notifies on change only
+    hostClock: true,
+    parse: parseBatteryLevel,
+    decode: (pkt) => [{ row: { percent: pkt.percent }, values: { percent: pkt.percent } }],
+    series: [{ key: "percent", label: "%", color: "#10b981", background: "rgba(16,185,129,0.10)" }],
+    window: TREND_WINDOW_SEC,
+    charts: [{ id: "bas", title: "Battery", unit: "%", series: ["percent"] }],
+    readout: (r) => `Battery: ${r.percent} %`,
+  },
+];
+
+export const STREAM_BY_KEY = Object.fromEntries(STREAM_DEFS.map((d) => [d.key, d]));
+
+export const STREAM_SERVICES = STREAM_DEFS.map((d) => d.service);
+
+// Stream name → GATT location (used by virtual devices: replay, simulator)
+export const STREAM_UUIDS = Object.fromEntries(
+  STREAM_DEFS.map((d) => [d.key, { service: d.service, characteristic: d.characteristic }])
+);
+
+// Streams to offer for a device exposing serviceUuids (null when the stack
+// cannot list services: assume the custom HRPC streams only)
+export function availableStreams(serviceUuids) {
+  const has = (d) => (serviceUuids ? serviceUuids.includes(d.service) : !d.optional);
+  const present = STREAM_DEFS.filter(has).map((d) => d.key);
+  return present.filter((key) => {
+    const fallback = STREAM_BY_KEY[key].fallbackFor;
+    return !fallback || !present.includes(fallback);
+  });
+}
+
+export function retainFor(def) {
+  return Math.max(RETAIN_SEC, def.window);
+}
+
+// { [stream]: { [series]: ring buffer } }, see @/lib/ring-buffer
+export function createStreamBuffers() {
+  return Object.fromEntries(
+    STREAM_DEFS.map((d) => [
+      d.key,
+      Object.fromEntries(d.series.map((s) => [s.key, createSeriesBuffer(retainFor(d))])),
+    ])
+  );
+}
+
+// Latest x across a stream's series, or null before any data
+export function lastX(series) {
+  let latest = null;
+  for (const buf of Object.values(series)) {
+    const x = buf.lastX();
+    if (x != null && (latest == null || x > latest)) latest = x;
+  }
+  return latest;
+}
+
+export function chartTitle(chart, profile) {
+  const unit = typeof chart.unit === "function" ? chart.unit(profile) : chart.unit;
+  return unit ? `${chart.title} (${unit})` : chart.title;
+}
+
+export function seriesOf(def, keys) {
+  return keys.map((k) => def.series.find((s) => s.key === k)).filter(Boolean);
+}
@@ -0,0 +1,126 @@
+// ── Virtual GATT device ─────────────────────────────────────────────────────
+// Minimal stand-in for a Web Bluetooth BluetoothDevice so that non-BLE data
+// sources (replay, simulator) can drive the page through the exact same
+// getPrimaryService → getCharacteristic → characteristicvaluechanged path.
+
+function createCharacteristic(service, uuid, writeHandlers) {
+  const ch = new EventTarget();
+  ch.service = service;
+  ch.uuid = uuid;
+  ch.value = null;
+  ch.notifying = false;
+  ch.startNotifications = async () => {
+    ch.notifying = true;
+    return ch;
+  };
+  ch.stopNotifications = async () => {
+    ch.notifying = false;
+    return ch;
+  };
+  ch.readValue = async () => ch.value ?? new DataView(new ArrayBuffer(0));
+  // Writes go to the handler registered with device.onWrite, if any
+  ch.writeValue = async (data) => {
+    const handler = writeHandlers.get(uuid);
+    if (!handler) throw new Error("GATT operation not permitted.");
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    handler(new DataView(Uint8Array.from(bytes).buffer));
+  };
+  ch.writeValueWithResponse = ch.writeValue;
+  ch.writeValueWithoutResponse = ch.writeValue;
+  return ch;
+}
+
+// services: { [serviceUuid]: [charUuid, ...] }
+export function createVirtualDevice({ name, id = name, services }) {
+  const device = new EventTarget();
+  const chars = new Map();
+  const svcs = new Map();
+  const writeHandlers = new Map();
+
+  for (const [svcUuid, charUuids] of Object.entries(services)) {
+    const svc = { uuid: svcUuid, device, isPrimary: true };
+    const own = new Map();
+    for (const cu of charUuids) {
+      const ch = createCharacteristic(svc, cu, writeHandlers);
+      own.set(cu, ch);
+      chars.set(cu, ch);
+    }
+    svc.getCharacteristic = async (cu) => {
+      const ch = own.get(cu);
+      if (!ch) throw new Error(`No characteristic matching UUID ${cu}`);
+      return ch;
+    };
+    svcs.set(svcUuid, svc);
+  }
+
+  const gatt = {
+    device,
+    connected: false,
+    async connect() {
+      gatt.connected = true;
+      return gatt;
+    },
+    disconnect() {
+      if (!gatt.connected) return;
+      gatt.connected = false;
+      for (const ch of chars.values()) ch.notifying = false;
+      device.dispatchEvent(new Event("gattserverdisconnected"));
+    },
+    async getPrimaryServices() {
+      if (!gatt.connected) throw new Error("GATT Server is disconnected.");
+      return [...svcs.values()];
+    },
+    async getPrimaryService(uuid) {
+      if (!gatt.connected) throw new Error("GATT Server is disconnected.");
+      const svc = svcs.get(uuid);
+      if (!svc) throw new Error(`No Services matching UUID ${uuid} found in Device.`);
+      return svc;
+    },
+  };
+
+  device.name = name;
+  device.id = id;
+  device.gatt = gatt;
+  device.virtual = true;
+
+  // Deliver one notification; dropped unless the characteristic is notifying.
+  // hostTime (ms) stands in for the arrival time, e.g. a replayed packet's
+  // captured time; it is kept on the characteristic with the value.
+  device.emit = (charUuid, bytes, hostTime = null) => {
+    const ch = chars.get(charUuid);
+    if (!ch || !ch.notifying || !gatt.connected) return false;
+    const buf = bytes instanceof DataView
+      ? bytes
+      : new DataView(Uint8Array.from(bytes).buffer);
+    ch.value = buf;
+    ch.hostTime = hostTime;
+    ch.dispatchEvent(new Event("characteristicvaluechanged"));
+    return true;
+  };
+
+  // Sets a characteristic's value for readValue without notifying
+  device.setValue = (charUuid, bytes) => {
+    const ch = chars.get(charUuid);
+    if (!ch) return;
+    ch.value = bytes instanceof DataView ? bytes : new DataView(Uint8Array.from(bytes).buffer);
+  };
+
+  // handler(dataView) receives every write to the characteristic
+  device.onWrite = (charUuid, handler) => {
+    writeHandlers.set(charUuid, handler);
+  };
+
+  return device;
+}
+
+// streams: { AFE: { service, characteristic }, ... }; extra: more
+// { [serviceUuid]: [charUuid, ...] } besides the streams
+export function createStreamDevice({ name, id, streams, extra = {} }) {
+  const services = structuredClone(extra);
+  for (const { service, characteristic } of Object.values(streams)) {
+    (services[service] ??= []).push(characteristic);
+  }
+  return createVirtualDevice({ name, id, services });
+}
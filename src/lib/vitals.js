@@ -0,0 +1,185 @@
+// ── PPG vitals ──────────────────────────────────────────────────────────────
+// Heart rate, inter-beat intervals and ratio-of-ratios SpO2 from the AFE
+// channels: ambient subtraction → band-pass → peak detection.
+
+import { createBandpass, createBiquad, median, mean, rms } from "./dsp";
+
+const GREEN = 0, RED = 1, IR = 2, AMBIENT = 3;
+
+const BAND_LOW_HZ = 0.5; // 30 bpm
+const BAND_HIGH_HZ = 4; // 240 bpm
+export const VITALS_WINDOW_SEC = 8; // analysis window for AC/DC and quality
+const REFRACTORY_SEC = 0.3; // no two beats closer than 200 bpm
+const IBI_MIN_SEC = 0.27;
+const IBI_MAX_SEC = 2.0;
+const IBI_HISTORY = 12;
+const MIN_SAMPLES_FOR_RATE = 16;
+const MOTION_SUPPRESS = 0.3; // hide HR / SpO2 when more of the window moved
+
+// Empirical calibration line; replace with a device-specific fit when known
+export const SPO2_A = 110;
+export const SPO2_B = 25;
+
+export function spo2FromRatio(r) {
+  return Math.max(70, Math.min(100, SPO2_A - SPO2_B * r));
+}
+
+function createChannel() {
+  return {
+    fs: null,
+    lastT: null,
+    dts: [],
+    band: null,
+    dc: null,
+    t: [],
+    ac: [], // band-passed
+    raw: [], // ambient-corrected, for DC
+  };
+}
+
+// invert: PPG counts fall as blood volume rises, so beats are minima
+export function createVitalsEstimator({ beatChannel = GREEN, invert = true } = {}) {
+  let channels = [createChannel(), createChannel(), createChannel()];
+  let ambient = null;
+
+  // Beat detection state (beat channel only)
+  let beats = [];
+  let lastBeatClean = false;
+  let ibis = [];
+  let envelope = 0;
+  let prev = [null, null]; // [y(n-2), y(n-1)]
+  let prevT = null;
+
+  function setupFilters(ch) {
+    ch.band = createBandpass(ch.fs, BAND_LOW_HZ, BAND_HIGH_HZ);
+    ch.dc = createBiquad("lowpass", ch.fs, BAND_LOW_HZ / 2);
+  }
+
+  function trackRate(ch, t) {
+    if (ch.lastT != null && t > ch.lastT) {
+      ch.dts.push(t - ch.lastT);
+      if (ch.dts.length > 64) ch.dts.shift();
+    }
+    ch.lastT = t;
+    if (ch.dts.length < MIN_SAMPLES_FOR_RATE) return false;
+    const fs = 1 / median(ch.dts);
+    if (!ch.fs || Math.abs(fs - ch.fs) / ch.fs > 0.2) {
+      ch.fs = fs;
+      setupFilters(ch);
+    }
+    return true;
+  }
+
+  // Beats inside motion segments are kept for timing but never produce IBIs
+  function detectBeat(t, y, corrupted) {
+    const s = invert ? -y : y;
+    envelope = Math.max(Math.abs(s), envelope * 0.995);
+    const [y2, y1] = prev;
+    if (y2 != null && y1 > y2 && y1 >= s && y1 > 0.35 * envelope) {
+      const tb = prevT;
+      const last = beats[beats.length - 1];
+      if (last == null || tb - last >= REFRACTORY_SEC) {
+        if (last != null && lastBeatClean && !corrupted) {
+          const ibi = tb - last;
+          if (ibi >= IBI_MIN_SEC && ibi <= IBI_MAX_SEC) {
+            ibis.push(ibi);
+            if (ibis.length > IBI_HISTORY) ibis.shift();
+          }
+        }
+        beats.push(tb);
+        lastBeatClean = !corrupted;
+        if (beats.length > IBI_HISTORY + 1) beats.shift();
+      }
+    }
+    prev = [y1, s];
+    prevT = t;
+  }
+
+  // tag: AFE channel (0 Green, 1 Red, 2 IR, 3 Ambient); t in seconds;
+  // corrupted: the sample falls inside an IMU motion segment
+  function push(tag, t, value, corrupted = false) {
+    if (tag === AMBIENT) {
+      ambient = value;
+      return;
+    }
+    const ch = channels[tag];
+    if (!ch || !trackRate(ch, t)) return;
+
+    const corrected = ambient != null ? value - ambient : value;
+    const y = ch.band.process(corrected);
+    const dc = ch.dc.process(corrected);
+    ch.t.push(t);
+    ch.ac.push(y);
+    ch.raw.push(dc);
+    while (ch.t.length > 0 && t - ch.t[0] > VITALS_WINDOW_SEC) {
+      ch.t.shift();
+      ch.ac.shift();
+      ch.raw.shift();
+    }
+    if (tag === beatChannel) detectBeat(t, y, corrupted);
+  }
+
+  function perfusion(ch) {
+    // Skip the filter warm-up (first second) when judging amplitude
+    const n = ch.fs ? Math.round(ch.fs) : 0;
+    if (ch.ac.length <= n * 2) return null;
+    const dc = mean(ch.raw.slice(n));
+    const ac = rms(ch.ac.slice(n));
+    return dc > 0 ? ac / dc : null;
+  }
+
+  // motionCoverage(from, to): share of a time span covered by motion
+  function estimate({ motionCoverage } = {}) {
+    const beat = channels[beatChannel];
+    const now = beat.lastT;
+    const motionFraction = now != null && motionCoverage ? motionCoverage(now - VITALS_WINDOW_SEC, now) : 0;
+    const fresh = now != null && beats.length > 0 && now - beats[beats.length - 1] < IBI_MAX_SEC * 1.5;
+
+    const gated = motionFraction > MOTION_SUPPRESS;
+    const ibi = fresh && !gated && ibis.length >= 2 ? median(ibis) : null;
+    const hr = ibi ? 60 / ibi : null;
+
+    const piRed = perfusion(channels[RED]);
+    const piIr = perfusion(channels[IR]);
+    const ratio = piRed != null && piIr ? piRed / piIr : null;
+    const spo2 = ratio != null && !gated ? spo2FromRatio(ratio) : null;
+
+    // Quality: beat-to-beat consistency, perfusion and detector freshness
+    const pi = perfusion(beat);
+    let quality = 0;
+    if (ibi && pi) {
+      const cv = Math.sqrt(mean(ibis.map((x) => (x - ibi) ** 2))) / ibi;
+      const consistency = Math.max(0, 1 - cv / 0.25);
+      const strength = Math.min(1, pi / 0.002);
+      quality = (consistency * 0.7 + strength * 0.3) * (1 - motionFraction);
+    }
+
+    return {
+      t: now,
+      hr,
+      ibi: ibi != null ? ibi * 1000 : null,
+      lastIbi: ibis.length ? ibis[ibis.length - 1] * 1000 : null,
+      ibis: ibis.map((x) => x * 1000),
+      spo2,
+      ratio,
+      perfusion: pi,
+      quality,
+      qualityLabel: quality >= 0.7 ? "Good" : quality >= 0.4 ? "Fair" : "Poor",
+      motionFraction,
+      gated,
+    };
+  }
+
+  function reset() {
+    channels = [createChannel(), createChannel(), createChannel()];
+    ambient = null;
+    beats = [];
+    lastBeatClean = false;
+    ibis = [];
+    envelope = 0;
+    prev = [null, null];
+    prevT = null;
+  }
+
+  return { push, estimate, reset };
+}
@@ -0,0 +1,24 @@
+// Main-thread handle on decode.worker.js. onDecoded(key, timestamp, samples,
+// host) is called for every packet the worker could parse, in the order sent.
+export function createWorkerDecoder(onDecoded) {
+  const worker = new Worker(new URL("./decode.worker.js", import.meta.url));
+  worker.onmessage = (e) => onDecoded(e.data.key, e.data.timestamp, e.data.samples, e.data.host);
+  worker.onerror = (e) => console.error("Decode worker:", e.message);
+
+  return {
+    setProfile(profile) {
+      worker.postMessage({ type: "profile", profile });
+    },
+    setFormat(format) {
+      worker.postMessage({ type: "format", format });
+    },
+    // Copies the payload: the notification's DataView may be reused
+    decode(key, dataView, host) {
+      const bytes = dataView.buffer.slice(dataView.byteOffset, dataView.byteOffset + dataView.byteLength);
+      worker.postMessage({ type: "decode", key, bytes, host }, [bytes]);
+    },
+    terminate() {
+      worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,177 @@
+// ── Dashboard workspaces ────────────────────────────────────────────────────
+// A workspace is the ordered list of chart panels every device panel shows:
+//   { id, kind, span, height, series?, hidden? }
+// kind is a stream chart id (see @/lib/streams) or one of the derived views
+// below; span is the grid columns taken (1–3), height the plot height in px
+// and series the visible series of selectable charts (derived channel ids on
+// "derived" panels, all of them when unset). Named workspaces are kept in
+// localStorage and can be exported / imported as JSON.
+
+import { STREAM_DEFS } from "./streams";
+import { createLocalStore } from "./local-store";
+
+const STORAGE_KEY = "hrpc.workspaces.v1";
+export const WORKSPACE_FORMAT_VERSION = 1;
+export const DEFAULT_WORKSPACE = "Default";
+
+export const GRID_COLUMNS = 3;
+export const MIN_PANEL_HEIGHT = 160;
+export const MAX_PANEL_HEIGHT = 900;
+
+// Everything a panel can show, in default-layout order. streams: the panel
+// is shown while the device offers one of them; extra kinds are only added
+// on request.
+export const PANEL_KINDS = STREAM_DEFS.flatMap((def) => [
+  ...def.charts.map((chart) => ({
+    kind: chart.id,
+    label: def.fallbackFor ? `${chart.title} (${def.key})` : chart.title,
+    streams: [def.key],
+    span: 1,
+    height: 340,
+    series: chart.selectable ? chart.defaultSeries ?? chart.series : undefined,
+  })),
+  ...(def.key === "AFE" ? [{ kind: "vitals", label: "Vitals (PPG)", streams: ["AFE"], span: 1, height: 250 }] : []),
+]).concat([
+  { kind: "spectrum", label: "Spectrum", streams: ["AFE", "IMU"], span: GRID_COLUMNS, height: 260 },
+  { kind: "battery", label: "Battery health", streams: ["BAT", "BAS"], span: GRID_COLUMNS, height: 260 },
+  { kind: "derived", label: "Derived channels", streams: STREAM_DEFS.map((d) => d.key), span: 1, height: 340, extra: true },
+]);
+
+export const PANEL_KIND = Object.fromEntries(PANEL_KINDS.map((k) => [k.kind, k]));
+
+const SELECTABLE = Object.fromEntries(
+  STREAM_DEFS.flatMap((d) => d.charts.filter((c) => c.selectable).map((c) => [c.id, c.series]))
+);
+
+let nextId = 1;
+
+export function createPanel(kind, props = {}) {
+  const k = PANEL_KIND[kind];
+  return {
+    id: `${kind}-${Date.now().toString(36)}${nextId++}`,
+    kind,
+    span: k.span,
+    height: k.height,
+    ...(k.series && { series: k.series }),
+    ...props,
+  };
+}
+
+export function defaultPanels() {
+  return PANEL_KINDS.filter((k) => !k.extra).map((k) => ({ ...createPanel(k.kind), id: k.kind }));
+}
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Drops unknown kinds, fills defaults, clamps sizes and makes ids unique
+export function normalizePanels(list) {
+  if (!Array.isArray(list)) return defaultPanels();
+  const seen = new Set();
+  const panels = [];
+  for (const p of list) {
+    const k = PANEL_KIND[p?.kind];
+    if (!k) continue;
+    const panel = createPanel(k.kind, {
+      span: clamp(Math.round(Number(p.span) || k.span), 1, GRID_COLUMNS),
+      height: clamp(Math.round(Number(p.height) || k.height), MIN_PANEL_HEIGHT, MAX_PANEL_HEIGHT),
+    });
+    if (p.id && !seen.has(String(p.id))) panel.id = String(p.id);
+    seen.add(panel.id);
+    if (SELECTABLE[k.kind]) {
+      panel.series = Array.isArray(p.series) ? p.series.filter((s) => SELECTABLE[k.kind].includes(s)) : k.series;
+    } else if (k.kind === "derived" && Array.isArray(p.series)) {
+      panel.series = p.series.filter((s) => typeof s === "string");
+    }
+    if (p.hidden === true) panel.hidden = true;
+    panels.push(panel);
+  }
+  return panels;
+}
+
+// ── Layout edits (return new lists) ─────────────────────────────────────────
+export function updatePanel(panels, id, patch) {
+  return panels.map((p) => (p.id === id ? { ...p, ...patch } : p));
+}
+
+// Moves fromId to where toId is
+export function movePanel(panels, fromId, toId) {
+  const from = panels.findIndex((p) => p.id === fromId);
+  const to = panels.findIndex((p) => p.id === toId);
+  if (from < 0 || to < 0 || from === to) return panels;
+  const next = [...panels];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+export function duplicatePanel(panels, id) {
+  const i = panels.findIndex((p) => p.id === id);
+  if (i < 0) return panels;
+  const { id: _, ...copy } = panels[i];
+  return [...panels.slice(0, i + 1), createPanel(copy.kind, copy), ...panels.slice(i + 1)];
+}
+
+export function removePanel(panels, id) {
+  return panels.filter((p) => p.id !== id);
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+// { active, workspaces: { [name]: panels } }
+export const DEFAULT_WORKSPACES = { active: DEFAULT_WORKSPACE, workspaces: { [DEFAULT_WORKSPACE]: defaultPanels() } };
+
+function normalizeState(parsed) {
+  const workspaces = {};
+  for (const [name, panels] of Object.entries(parsed?.workspaces ?? {})) {
+    if (name.trim()) workspaces[name.trim()] = normalizePanels(panels);
+  }
+  if (!workspaces[DEFAULT_WORKSPACE]) workspaces[DEFAULT_WORKSPACE] = defaultPanels();
+  const active = workspaces[parsed?.active] ? parsed.active : DEFAULT_WORKSPACE;
+  return { active, workspaces };
+}
+
+export function loadWorkspaces() {
+  if (typeof localStorage === "undefined") return DEFAULT_WORKSPACES;
+  try {
+    return normalizeState(JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null"));
+  } catch {
+    return DEFAULT_WORKSPACES;
+  }
+}
+
+export function saveWorkspaces(state) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  return state;
+}
+
+// Saved state for useSyncExternalStore
+export const workspaceStore = createLocalStore(STORAGE_KEY, loadWorkspaces, saveWorkspaces);
+
+// names: workspaces to export (all by default)
+export function workspacesToJson(state, names = Object.keys(state.workspaces)) {
+  return JSON.stringify(
+    {
+      type: "hrpc-workspaces",
+      version: WORKSPACE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      workspaces: Object.fromEntries(names.map((n) => [n, state.workspaces[n]])),
+    },
+    null,
+    2
+  );
+}
+
+// → { [name]: panels } from an export
+export function parseWorkspaces(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (parsed?.type !== "hrpc-workspaces" || typeof parsed.workspaces !== "object") {
+    throw new Error('Not a workspace export (missing "workspaces")');
+  }
+  const { workspaces } = normalizeState({ workspaces: parsed.workspaces });
+  if (!(DEFAULT_WORKSPACE in parsed.workspaces)) delete workspaces[DEFAULT_WORKSPACE];
+  return workspaces;
+}